@@ -22,6 +22,13 @@
  * @requires ./components/loadingScreen/loadingScreen.js
  * @requires ./utils/errorHandler.js
  * @requires ./utils/soundManager.js
+ * @requires ./utils/router.js
+ * @requires ./components/Game/Game.js
+ * @requires ./utils/offlineSupport.js
+ * @requires ./utils/profileManager.js
+ * @requires ./components/profilePicker/profilePicker.js
+ * @requires ./components/parentDashboard/parentDashboard.js
+ * @requires ./components/soundToggle/soundToggle.js
  * 
  * @author Martin Lubenov
  * @version 1.0.0
@@ -31,9 +38,28 @@
 import { games } from './gameModules/generatedGames.js';
 import { LoadingScreen } from './components/loadingScreen/loadingScreen.js';
 import { handleError, GameError, ErrorTypes } from './utils/errorHandler.js';
-import soundManager from './utils/soundManager.js';
+import soundManager, { SoundChannels } from './utils/soundManager.js';
+import { Router } from './utils/router.js';
+import { destroyActiveGame } from './components/Game/Game.js';
+import { registerServiceWorker, isOfflineReady, onOfflineStatusChange } from './utils/offlineSupport.js';
+import profileManager from './utils/profileManager.js';
+import { ProfilePicker } from './components/profilePicker/profilePicker.js';
+import { ParentDashboard } from './components/parentDashboard/parentDashboard.js';
+import { StickerBook } from './components/stickerBook/stickerBook.js';
+import { SoundToggle } from './components/soundToggle/soundToggle.js';
+import { getRewards } from './components/Game/rewards.js';
+import { escapeHTML } from './utils/helpers.js';
 // import { unloadCSS } from './utils/helpers.js';
 
+/**
+ * Music of the app screens: a sprite of a loaded sound or a music file.
+ * Games declare theirs in their manifest; screens without music fade it out.
+ */
+const SCREEN_MUSIC = {
+    home: { id: 'commonSounds', sprite: 'homeBackgroundMusic' },
+    stickers: 'sounds/stickersMusic.mp3'
+};
+
 /**
  * Manages the entire application lifecycle, screen transitions, and game initialization.
  * 
@@ -43,6 +69,13 @@ import soundManager from './utils/soundManager.js';
  * @property {Object} screens - Stores rendered screen HTML content
  * @property {Set} loadedCSS - Tracks loaded CSS files to prevent duplicate loading
  * @property {LoadingScreen} loadingScreen - Manages loading screen states and animations
+ * @property {Router} router - Keeps the URL hash and the displayed screen in sync
+ * @property {ProfilePicker} profilePicker - Asks who is playing before the first screen
+ * @property {ParentDashboard} parentDashboard - Gated progress screen for parents
+ * @property {StickerBook} stickerBook - Screen with the stickers collected by the player
+ * @property {SoundToggle} soundToggle - Mute button shown on every screen
+ * @property {string|null} soundSettingsProfileId - Profile whose sound settings are in use
+ * @property {number} navigationId - ID of the latest loadScreen() call
  * 
  * @example
  * // Application is automatically initialized on page load
@@ -60,17 +93,33 @@ class App {
         this.screens = {};
         this.loadedCSS = new Set();
         this.loadingScreen = new LoadingScreen();
+        this.router = new Router('home');
+        this.profilePicker = new ProfilePicker();
+        this.parentDashboard = new ParentDashboard();
+        this.stickerBook = new StickerBook();
+        this.soundToggle = new SoundToggle();
+        this.soundSettingsProfileId = null;
+        // Incremented on every loadScreen() call, so a slower earlier load can tell it was replaced
+        this.navigationId = 0;
 
         // Bind methods to maintain correct 'this' context
         this.checkOrientation = this.checkOrientation.bind(this);
         this.init = this.init.bind(this);
+        this.updateOfflineIndicator = this.updateOfflineIndicator.bind(this);
 
         // Set up event listeners
         window.addEventListener('resize', this.checkOrientation);
         document.addEventListener('DOMContentLoaded', this.init);
+        onOfflineStatusChange(this.updateOfflineIndicator);
+        soundManager.onSettingsChange(settings => this.saveSoundSettings(settings));
 
         // Load common sound sprites for consistent audio experience
         soundManager.loadSound('commonSounds', 'sounds/commonSounds.mp3', {
+            spriteChannels: {
+                backToMainScreen: SoundChannels.UI,
+                homeBackgroundMusic: SoundChannels.MUSIC,
+                openGame: SoundChannels.UI
+            },
             sprite: {
                 "backToMainScreen": [
                     0,
@@ -174,37 +223,171 @@ class App {
 
     /**
      * Generates the home screen HTML content based on available games.
+     * Each floor shows the icon and title from the game's manifest.
      * 
      * @returns {string} Home screen HTML content
      */
     generateHomeScreen() {
         console.log('Available games:', games);
-        const floors = Object.keys(games)
+        const floors = Object.entries(games)
             .reverse()
-            .map(gameId => `<div class="floor" data-game="${gameId}">Етаж ${gameId.replace('game', '')}</div>`)
+            .map(([gameId, { title, icon, description, ageRange }]) => `
+                <div class="floor" data-game="${gameId}" title="${description} (${ageRange.min}-${ageRange.max} г.)">
+                    <span class="floor-icon" aria-hidden="true">${icon}</span>
+                    <span class="floor-title">${title}</span>
+                </div>
+            `)
             .join('');
+        const profile = profileManager.getCurrentProfile();
 
         return `
             <div class="container">
+                ${profile ? `
+                    <button class="player-badge" aria-label="Смени играча">
+                        <span class="player-badge__avatar">${profile.avatar}</span>
+                        <span class="player-badge__name">${escapeHTML(profile.name)}</span>
+                    </button>
+                ` : ''}
                 <img src="logo.png" alt="Logo">
                 <div class="building">
                     ${floors}
                 </div>
+                <button class="parents-button">👪 За родители</button>
+                <button class="stars-button" aria-label="Моите стикери">
+                    ⭐ <span class="stars-button__count">0</span>
+                </button>
+                <div class="offline-indicator${isOfflineReady() ? ' ready' : ''}" role="status">
+                    ✔ Готово за игра без интернет
+                </div>
             </div>
         `;
     }
 
+    /**
+     * Shows or hides the "ready for offline" indicator on the home screen.
+     * 
+     * @param {boolean} ready - Whether all games are cached for offline play
+     */
+    updateOfflineIndicator(ready) {
+        const indicator = document.querySelector('.offline-indicator');
+        if (indicator) {
+            indicator.classList.toggle('ready', ready);
+        }
+    }
+
+    /**
+     * Shows the current player's star total on the home screen.
+     * 
+     * @async
+     * @returns {Promise<void>}
+     */
+    async updateStarsButton() {
+        try {
+            const { totalStars } = await getRewards();
+            const count = document.querySelector('.stars-button__count');
+            if (count) {
+                count.textContent = totalStars;
+            }
+        } catch (error) {
+            console.warn('Failed to load rewards:', error);
+        }
+    }
+
+    /**
+     * Shows the profile picker and reloads the home screen for the chosen player.
+     * 
+     * @async
+     * @returns {Promise<void>}
+     */
+    async switchProfile() {
+        await this.profilePicker.show();
+        await this.loadScreen('home');
+    }
+
+    /**
+     * Applies the current player's stored sound settings.
+     * 
+     * @async
+     * @returns {Promise<void>}
+     */
+    async loadSoundSettings() {
+        this.soundSettingsProfileId = profileManager.currentProfileId;
+        try {
+            soundManager.applySettings(await profileManager.getSettings('sound'));
+        } catch (error) {
+            console.warn('Failed to load sound settings:', error);
+        }
+    }
+
+    /**
+     * Stores changed sound settings for the player they belong to.
+     * 
+     * @async
+     * @param {Object} settings - Sound settings from the SoundManager
+     * @returns {Promise<void>}
+     */
+    async saveSoundSettings(settings) {
+        if (!this.soundSettingsProfileId || this.soundSettingsProfileId !== profileManager.currentProfileId) {
+            return;
+        }
+        try {
+            await profileManager.saveSettings('sound', settings);
+        } catch (error) {
+            console.warn('Failed to save sound settings:', error);
+        }
+    }
+
+    /**
+     * Crossfades to the music of a screen or game.
+     * 
+     * @param {string} screenId - ID of the screen or game module
+     */
+    playScreenMusic(screenId) {
+        let music = SCREEN_MUSIC[screenId] || (games[screenId] && games[screenId].music);
+
+        // Music files are loaded the first time their screen opens
+        if (typeof music === 'string') {
+            const id = `music:${screenId}`;
+            if (!soundManager.sounds.has(id)) {
+                soundManager.loadSound(id, music, { channel: SoundChannels.MUSIC });
+            }
+            music = { id, sprite: null };
+        }
+
+        if (music) {
+            soundManager.playMusic(music.id, music.sprite);
+        } else {
+            soundManager.stopMusic();
+        }
+    }
+
     /**
      * Sets up event listeners for floor buttons to navigate between screens.
      */
     setupFloorListeners() {
+        const playerBadge = document.querySelector('.player-badge');
+        if (playerBadge) {
+            playerBadge.addEventListener('click', () => this.switchProfile());
+        }
+
+        const parentsButton = document.querySelector('.parents-button');
+        if (parentsButton) {
+            parentsButton.addEventListener('click', () => this.router.navigate('parents'));
+        }
+
+        const starsButton = document.querySelector('.stars-button');
+        if (starsButton) {
+            starsButton.addEventListener('click', () => this.router.navigate('stickers'));
+            this.updateStarsButton();
+        }
+
         const gameIds = Object.keys(games);
         console.log('Setting up floor listeners for games:', gameIds);
         gameIds.forEach(gameId => {
             const floor = document.querySelector(`[data-game="${gameId}"]`);
             if (floor) {
                 floor.addEventListener('click', () => {
-                    this.loadScreen(gameId);
+                    this.router.navigate(gameId);
                 });
             }
         });
@@ -212,15 +395,37 @@ class App {
 
     /**
      * Loads the specified screen or game module.
+     * Called by the router whenever the URL hash changes. When another screen is requested
+     * while this one is still loading (e.g. fast back/forward), this load stops at its next step.
      * 
      * @async
      * @param {string} screenId - ID of the screen or game module to load
+     * @param {Object} [params={}] - Route parameters passed on to the game, e.g. { difficulty: 'hard' }
      * @returns {Promise<void>}
      */
-    async loadScreen(screenId) {
-        console.log('Loading screen:', screenId);
+    async loadScreen(screenId, params = {}) {
+        console.log('Loading screen:', screenId, params);
+        const navigationId = ++this.navigationId;
+        const isReplaced = () => navigationId !== this.navigationId;
 
         try {
+            // Leave the current game, e.g. after the browser back button was pressed
+            await destroyActiveGame();
+            if (isReplaced()) return;
+
+            // Progress is stored per player, so ask who is playing first
+            if (!profileManager.getCurrentProfile()) {
+                await this.loadingScreen.hide();
+                await this.profilePicker.show();
+                if (isReplaced()) return;
+            }
+
+            // Each player has their own volumes
+            if (profileManager.currentProfileId !== this.soundSettingsProfileId) {
+                await this.loadSoundSettings();
+                if (isReplaced()) return;
+            }
+
             // Create a placeholder div to prevent content flash
             const placeholder = document.createElement('div');
             placeholder.style.cssText = 'position: fixed; top: 0; left: 0; width: 100%; height: 100%; background: white; z-index: 9998;';
@@ -230,6 +435,7 @@ class App {
             // Load global CSS first
             await this.ensureCSS('style.css');
             await this.ensureCSS('components/loadingScreen/loadingScreen.css');
+            if (isReplaced()) return;
 
             if (screenId === 'home') {
                 console.log('Generating home screen...');
@@ -240,21 +446,33 @@ class App {
                     document.querySelector('.container').classList.add('loaded');
                 }, 100);
                 this.setupFloorListeners();
-                soundManager.play('commonSounds', 'homeBackgroundMusic');
-                // soundManager.setVolume('commonSounds', 0.2)
+                this.playScreenMusic('home');
+                return;
+            }
+
+            if (screenId === 'parents') {
+                this.playScreenMusic('parents');
+                await this.parentDashboard.show();
+                return;
+            }
+
+            if (screenId === 'stickers') {
+                this.playScreenMusic('stickers');
+                await this.stickerBook.show();
                 return;
             }
 
             this.loadingScreen.show(`Зареждане на ${screenId}...`);
 
             if (games[screenId]) {
-                soundManager.stop('commonSounds', 'homeBackgroundMusic');
+                this.playScreenMusic(screenId);
                 const { script, style } = games[screenId];
                 console.log('Loading game CSS:', style);
 
                 // Load CSS first and ensure it's applied
                 this.loadingScreen.updateMessage('Зареждане на стилове...');
                 await this.ensureCSS(style);
+                if (isReplaced()) return;
                 this.loadingScreen.updateProgress(1, 2);
 
                 // Then load and start the game
@@ -262,15 +480,15 @@ class App {
                 this.loadingScreen.updateMessage('Зареждане на играта...');
                 try {
                     const gameModule = await import(script);
+                    if (isReplaced()) return;
                     this.loadingScreen.updateProgress(2, 2);
 
                     // Clear the body only after CSS is loaded
                     document.body.innerHTML = '';
                     soundManager.play('commonSounds', 'openGame');
-                    soundManager.setVolume('commonSounds', 0.2)
 
                     // Start the game
-                    await gameModule.startGame();
+                    await gameModule.startGame({ gameId: screenId, params });
 
                     // Add loaded class to game screen
                     const gameContainer = document.querySelector('.game-screen');
@@ -295,21 +513,23 @@ class App {
         } catch (error) {
             console.error('Error in loadScreen:', error);
             handleError(error, 'app.loadScreen', () => {
+                this.router.navigate('home', {}, { replace: true, silent: true });
                 this.screens.home = this.generateHomeScreen();
                 document.body.innerHTML = this.screens.home;
                 setTimeout(() => {
                     document.querySelector('.container').classList.add('loaded');
                 }, 100);
                 this.setupFloorListeners();
+                this.playScreenMusic('home');
             });
         } finally {
-            if (this.loadingScreen) {
-                this.loadingScreen.hide();
-            }
-            // Remove the placeholder
-            const placeholder = document.querySelector('div[style*="z-index: 9998"]');
-            if (placeholder) {
-                placeholder.remove();
+            // A replaced load leaves the loading screen to the load that replaced it
+            if (!isReplaced()) {
+                if (this.loadingScreen) {
+                    this.loadingScreen.hide();
+                }
+                // Remove the placeholders, including ones left by replaced loads
+                document.querySelectorAll('div[style*="z-index: 9998"]').forEach(placeholder => placeholder.remove());
             }
         }
     }
@@ -326,7 +546,7 @@ class App {
     }
 
     /**
-     * Initializes the application by loading the home screen and setting up event listeners.
+     * Initializes the application by starting the router, which loads the screen named in the URL.
      * 
      * @async
      */
@@ -342,14 +562,21 @@ class App {
             // soundManager.play('commonSounds', 'homeBackgroundMusic');
             // soundManager.setVolume('commonSounds', 0.3)
 
+            // Precache all games in the background for offline play
+            registerServiceWorker();
+
             // Show loading screen
             await this.loadingScreen.show();
             await this.loadingScreen.updateMessage('Зареждане на игралния свят...');
             await this.loadingScreen.updateProgress(1, 4);
 
-            // Load home screen
-            await this.loadScreen('home');
-            this.setupFloorListeners();
+            // Load saved player profiles and the sound settings of the current one
+            await profileManager.load();
+            await this.loadSoundSettings();
+            await this.soundToggle.mount();
+
+            // Load the screen from the URL (home screen by default)
+            await this.router.start(this.loadScreen.bind(this));
 
             // Hide loading screen
             await this.loadingScreen.hide();
@@ -369,4 +596,6 @@ const app = new App();
 // Export necessary methods for external use
 export const ensureCSS = (cssPath) => app.ensureCSS(cssPath);
 export const untrackCSS = (cssPath) => app.untrackCSS(cssPath);
-export const loadScreen = (screenId) => app.loadScreen(screenId);
+export const loadScreen = (screenId, params) => app.loadScreen(screenId, params);
+export const navigate = (screenId, params, options) => app.router.navigate(screenId, params, options);
+export const goBack = (fallback) => app.router.back(fallback);
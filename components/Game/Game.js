@@ -1,9 +1,53 @@
 import { LoadingScreen } from '../loadingScreen/loadingScreen.js';
 import { PopUp } from '../popUp/popUp.js';
 import { handleError, GameError, ErrorTypes } from '../../utils/errorHandler.js';
-import { ensureCSS } from '../../app.js';
+import { ensureCSS, navigate } from '../../app.js';
+import { games } from '../../gameModules/generatedGames.js';
 import { getCurrentGameCssPath, unloadCSS } from '../../utils/helpers.js';
 import { soundManager } from '../../utils/soundManager.js';
+import profileManager from '../../utils/profileManager.js';
+import { AdaptiveDifficulty } from '../../utils/adaptiveDifficulty.js';
+import { GameClock } from '../../utils/gameClock.js';
+import { addStars, clampStars } from './rewards.js';
+
+// The game instance currently shown on screen
+let activeGame = null;
+
+/**
+ * Difficulty levels in the order they are offered, with their picker labels
+ */
+export const DIFFICULTY_LABELS = {
+    easy: '🌱 Лесно',
+    medium: '🌿 Средно',
+    hard: '🌳 Трудно'
+};
+
+/**
+ * Difficulty value of the adaptive mode, which tunes the settings to the player
+ */
+export const ADAPTIVE_DIFFICULTY = 'adaptive';
+const ADAPTIVE_LABEL = '✨ Нагласи се сама';
+
+/**
+ * Reasons for pausing a game
+ * PLAYER pauses (pause button, hidden tab, lost focus) show the pause screen and
+ * wait for the player, POPUP pauses last while a popup is open
+ */
+export const PauseReasons = {
+    PLAYER: 'player',
+    POPUP: 'popup'
+};
+
+/**
+ * Destroys the game currently shown on screen, if any.
+ * Used by the router when the player leaves a game with the browser back button.
+ * @returns {Promise<void>}
+ */
+export async function destroyActiveGame() {
+    if (activeGame) {
+        await activeGame.destroy();
+    }
+}
 
 /**
  * Base Game class that provides a standardized structure and common functionality 
@@ -15,6 +59,13 @@ import { soundManager } from '../../utils/soundManager.js';
  * - Provides common UI components like loading screen and popups
  * - Handles error management
  * - Supports sound management
+ * - Asks for the difficulty level and remembers it per player profile
+ * - Adapts the game settings to recent results in adaptive mode
+ * - Asks for the game mode when a game offers several ways of playing
+ * - Owns a clock for all game timers, cancelled when the game is destroyed
+ * - Pauses timers and sounds when the tab is hidden, a popup is open or the pause button is pressed
+ * - Records round results and progress for the current player profile
+ * - Rates finished rounds with 1-3 stars and shows the completion popup
  * - Provides utility methods for game navigation
  */
 export class Game {
@@ -26,13 +77,50 @@ export class Game {
      * @property {boolean} gameStarted - Tracks game initialization state
      * @property {string|null} cssPath - Path to game-specific CSS
      * @property {Map} sounds - Manages game-specific sound resources
+     * @property {string|null} gameId - ID of the game module, e.g. 'game3'
+     * @property {Object} params - Route parameters from the URL, e.g. { difficulty: 'hard' }
+     * @property {number|null} roundStartedAt - Running time of the clock when the current round started
+     * @property {string|null} difficulty - Selected difficulty level ('easy', 'medium' or 'hard')
+     * @property {Object} settings - Game settings of the selected difficulty level
+     * @property {AdaptiveDifficulty|null} adaptiveDifficulty - Engine tuning the settings in adaptive mode
+     * @property {string|null} mode - Selected game mode, see getGameModes()
+     * @property {Set<string>} pauseReasons - Active pause reasons, the game is paused while not empty
+     * @property {GameClock} clock - Timers of this game, paused with the game
+     * @param {Object} [options={}] - Options passed by the app when the game is opened
+     * @param {string} [options.gameId] - ID of the game module
+     * @param {Object} [options.params] - Route parameters
+     * @param {GameClock} [options.clock] - Clock to use instead of a real-time one, e.g. with a fake time source in tests
      */
-    constructor() {
+    constructor(options = {}) {
+        this.gameId = options.gameId || null;
+        this.params = options.params || {};
         this.loadingScreen = new LoadingScreen();
         this.popUp = new PopUp();
         this.gameStarted = false;
         this.cssPath = null;
         this.sounds = new Map(); // Store sound IDs specific to this game instance
+        this.roundStartedAt = null;
+        this.difficulty = null;
+        this.settings = {};
+        this.adaptiveDifficulty = null;
+        this.mode = null;
+        this.pauseReasons = new Set();
+        this.pausedSounds = [];
+        this.clock = options.clock || new GameClock();
+        this.pauseButton = null;
+        this.pauseOverlay = null;
+
+        this.handleVisibilityChange = this.handleVisibilityChange.bind(this);
+        this.handleWindowBlur = this.handleWindowBlur.bind(this);
+        this.unsubscribePopUp = this.popUp.onToggle(open => {
+            if (open) {
+                this.pause(PauseReasons.POPUP);
+            } else {
+                this.resume(PauseReasons.POPUP);
+            }
+        });
+
+        activeGame = this;
     }
 
     /**
@@ -96,6 +184,463 @@ export class Game {
         }
     }
 
+    /**
+     * Difficulty Methods
+     * Lets the player pick how hard the game is before it starts
+     */
+
+    /**
+     * Returns the game settings for each difficulty level
+     * Child classes override this, e.g. { easy: { attempts: 5 }, medium: { attempts: 3 }, hard: { attempts: 2 } }
+     * @protected
+     * @returns {Object<string, Object>} Settings keyed by difficulty level
+     */
+    getDifficultyLevels() {
+        return {};
+    }
+
+    /**
+     * Returns the ranges of the settings tuned in adaptive mode
+     * Child classes override this to offer the mode, see utils/adaptiveDifficulty.js
+     * @protected
+     * @returns {Object<string, Object>} Ranges keyed by setting name, e.g. { time: { min: 10, max: 30, step: 2, harder: 'lower' } }
+     */
+    getAdaptiveParameters() {
+        return {};
+    }
+
+    /**
+     * Returns the difficulty levels defined by the game and allowed by its manifest,
+     * followed by the adaptive mode if the game supports it
+     * @protected
+     * @returns {Array<string>} Difficulty levels, easiest first
+     */
+    getAvailableDifficulties() {
+        const levels = this.getDifficultyLevels();
+        const declared = games[this.gameId] ? games[this.gameId].difficulties : null;
+        const available = Object.keys(DIFFICULTY_LABELS)
+            .filter(difficulty => levels[difficulty] && (!declared || declared.includes(difficulty)));
+
+        if (Object.keys(this.getAdaptiveParameters()).length > 0) {
+            available.push(ADAPTIVE_DIFFICULTY);
+        }
+        return available;
+    }
+
+    /**
+     * Picks the difficulty level before the game starts
+     * Uses the level from the URL if it is valid, otherwise shows the difficulty picker
+     * with the level the player used last time preselected
+     * @protected
+     * @returns {Promise<string|null>} The selected difficulty level, or null if the game has none
+     */
+    async selectDifficulty() {
+        const available = this.getAvailableDifficulties();
+        if (available.length === 0) {
+            return null;
+        }
+
+        const progress = await this.loadProgress();
+        let difficulty = this.params.difficulty;
+        if (!available.includes(difficulty)) {
+            difficulty = available.length === 1 ? available[0] : await this.popUp.showChoicePopup(
+                'Колко трудна да бъде играта?',
+                available.map(value => ({ text: DIFFICULTY_LABELS[value] || ADAPTIVE_LABEL, value })),
+                available.includes(progress.difficulty) ? progress.difficulty : 'medium'
+            );
+
+            // Keep the choice in the URL so a reload starts at the same level
+            navigate(this.gameId, { ...this.params, difficulty }, { replace: true, silent: true });
+        }
+
+        this.applyDifficulty(difficulty, progress.adaptive);
+        await this.saveProgress({ difficulty });
+        return difficulty;
+    }
+
+    /**
+     * Sets the difficulty level and its game settings
+     * In adaptive mode the settings start from the medium level, with the tuned values stored last time
+     * @protected
+     * @param {string} difficulty - Difficulty level
+     * @param {Object} [adaptiveState={}] - Stored adaptive engine state ({ values, history })
+     */
+    applyDifficulty(difficulty, adaptiveState = {}) {
+        const levels = this.getDifficultyLevels();
+        this.difficulty = difficulty;
+        this.params = { ...this.params, difficulty };
+
+        if (difficulty !== ADAPTIVE_DIFFICULTY) {
+            this.adaptiveDifficulty = null;
+            this.settings = { ...levels[difficulty] };
+            return;
+        }
+
+        const baseSettings = levels.medium || {};
+        this.adaptiveDifficulty = new AdaptiveDifficulty(this.getAdaptiveParameters(), {
+            values: { ...baseSettings, ...adaptiveState.values },
+            history: adaptiveState.history || []
+        });
+        this.settings = { ...baseSettings, ...this.adaptiveDifficulty.getValues() };
+    }
+
+    /**
+     * Feeds a round result to the adaptive engine and applies the tuned settings
+     * The games read `this.settings` when a new round starts, so changes apply from the next round
+     * @protected
+     * @param {Object} result - Round result ({ completed, stars })
+     * @returns {Promise<void>} Resolves when the engine state is stored
+     */
+    async updateAdaptiveDifficulty(result) {
+        if (!this.adaptiveDifficulty) {
+            return;
+        }
+
+        if (this.adaptiveDifficulty.addResult(result)) {
+            Object.assign(this.settings, this.adaptiveDifficulty.getValues());
+        }
+        await this.saveProgress({ adaptive: this.adaptiveDifficulty.getState() });
+    }
+
+    /**
+     * Mode Methods
+     * Lets the player pick one of the ways of playing a game, e.g. a classic or a jigsaw puzzle
+     */
+
+    /**
+     * Returns the game modes with their picker labels and the settings they add
+     * Child classes override this, e.g. { classic: { label: '🟦 Квадратни', settings: { jigsaw: false } } }
+     * The first mode is the default one
+     * @protected
+     * @returns {Object<string, {label: string, settings: Object}>} Modes keyed by mode ID
+     */
+    getGameModes() {
+        return {};
+    }
+
+    /**
+     * Picks the game mode before the game starts
+     * Works like selectDifficulty(): a valid `mode` route parameter skips the picker,
+     * otherwise the mode used last time is preselected. Call it after selectDifficulty(),
+     * as the mode settings are added to the difficulty settings
+     * @protected
+     * @returns {Promise<string|null>} The selected mode, or null if the game has none
+     */
+    async selectMode() {
+        const modes = this.getGameModes();
+        const available = Object.keys(modes);
+        if (available.length === 0) {
+            return null;
+        }
+
+        const progress = await this.loadProgress();
+        let mode = this.params.mode;
+        if (!available.includes(mode)) {
+            mode = available.length === 1 ? available[0] : await this.popUp.showChoicePopup(
+                'Как искаш да играеш?',
+                available.map(value => ({ text: modes[value].label, value })),
+                available.includes(progress.mode) ? progress.mode : available[0]
+            );
+
+            // Keep the choice in the URL so a reload starts in the same mode
+            navigate(this.gameId, { ...this.params, mode }, { replace: true, silent: true });
+        }
+
+        this.applyMode(mode);
+        await this.saveProgress({ mode });
+        return mode;
+    }
+
+    /**
+     * Sets the game mode and adds its settings to the difficulty settings
+     * @protected
+     * @param {string} mode - Mode ID
+     */
+    applyMode(mode) {
+        this.mode = mode;
+        this.params = { ...this.params, mode };
+        Object.assign(this.settings, this.getGameModes()[mode].settings);
+    }
+
+    /**
+     * Progress Methods
+     * Provides a standard way for games to store results and progress per player profile
+     */
+
+    /**
+     * Marks the start of a new round, used to measure the round time
+     * @protected
+     */
+    startRound() {
+        this.roundStartedAt = this.clock.elapsed();
+    }
+
+    /**
+     * Returns the time played since startRound() in milliseconds
+     * Pauses (including open popups) are not counted, because the clock stops during them
+     * @protected
+     * @returns {number} Round time, or 0 if no round was started
+     */
+    getRoundTime() {
+        return this.roundStartedAt === null ? 0 : this.clock.elapsed() - this.roundStartedAt;
+    }
+
+    /**
+     * Records the result of a finished round for the current player profile
+     * @protected
+     * @param {Object} result - Round result
+     * @param {number} [result.score=0] - Score reached in the round
+     * @param {number} [result.timeMs] - Round time, defaults to the time since startRound()
+     * @param {number|null} [result.level=null] - Level reached, for games with levels
+     * @param {number} [result.mistakes=0] - Number of mistakes
+     * @param {boolean} [result.completed=true] - Whether the round goal was reached
+     * @param {number|null} [result.stars=null] - Stars earned, see completeRound()
+     * @param {Object} [result.details={}] - Game-specific values
+     * @returns {Promise<Object|null>} The stored result or null if it could not be stored
+     */
+    async recordResult({ score = 0, timeMs, level = null, mistakes = 0, completed = true, stars = null, details = {} } = {}) {
+        const result = {
+            score,
+            timeMs: timeMs === undefined ? this.getRoundTime() : timeMs,
+            level,
+            mistakes,
+            completed,
+            stars,
+            difficulty: this.difficulty,
+            mode: this.mode,
+            details
+        };
+        await this.updateAdaptiveDifficulty(result);
+
+        try {
+            return await profileManager.recordResult(this.gameId, result);
+        } catch (error) {
+            handleError(
+                error instanceof GameError ? error : new GameError(
+                    'Failed to record game result',
+                    ErrorTypes.RUNTIME,
+                    { originalError: error.message }
+                ),
+                'Game.recordResult'
+            );
+            return null;
+        }
+    }
+
+    /**
+     * Rates a finished round with 1-3 stars
+     * Child classes override this with their own rules, e.g. moves compared to the minimum
+     * @protected
+     * @param {Object} result - Round result as passed to completeRound()
+     * @returns {number} Stars earned (1 to 3)
+     */
+    calculateStars(result) {
+        return 1;
+    }
+
+    /**
+     * Finishes a round: rates it with stars, records the result, adds the stars
+     * to the player's collection and shows the animated completion popup
+     * @protected
+     * @param {Object} result - Round result, see recordResult()
+     * @param {string} message - Message shown in the completion popup
+     * @returns {Promise<number>} Stars earned
+     */
+    async completeRound(result, message) {
+        const stars = clampStars(this.calculateStars(result));
+        let newStickers = [];
+
+        await this.recordResult({ ...result, stars });
+        try {
+            ({ newStickers } = await addStars(this.gameId, stars));
+        } catch (error) {
+            console.warn('Failed to store stars:', error);
+        }
+
+        soundManager.play('commonSounds', 'gameCompleted');
+        await this.popUp.showCompletionPopup(message, stars, newStickers);
+        return stars;
+    }
+
+    /**
+     * Loads this game's stored progress for the current player profile
+     * @protected
+     * @returns {Promise<Object>} Progress object (empty if nothing is stored)
+     */
+    async loadProgress() {
+        try {
+            return await profileManager.getGameProgress(this.gameId);
+        } catch (error) {
+            console.warn(`Failed to load progress for ${this.gameId}:`, error);
+            return {};
+        }
+    }
+
+    /**
+     * Merges values into this game's stored progress for the current player profile
+     * @protected
+     * @param {Object} values - Values to store, e.g. { bestLevel: 5 }
+     * @returns {Promise<Object>} The updated progress object
+     */
+    async saveProgress(values) {
+        try {
+            return await profileManager.updateGameProgress(this.gameId, values);
+        } catch (error) {
+            console.warn(`Failed to save progress for ${this.gameId}:`, error);
+            return values;
+        }
+    }
+
+    /**
+     * Pause Methods
+     * Freeze the game while the player is away or a popup is open
+     */
+
+    /**
+     * Returns whether the game is paused for any reason
+     * @returns {boolean} Whether the game is paused
+     */
+    isPaused() {
+        return this.pauseReasons.size > 0;
+    }
+
+    /**
+     * Pauses the game
+     * Freezes the clock and calls onPause() when the game goes from running to paused. Player pauses also
+     * pause the sounds and show the pause screen.
+     * @param {string} [reason=PauseReasons.PLAYER] - Pause reason, see PauseReasons
+     */
+    pause(reason = PauseReasons.PLAYER) {
+        if (this.pauseReasons.has(reason)) {
+            return;
+        }
+
+        const wasPaused = this.isPaused();
+        this.pauseReasons.add(reason);
+
+        if (reason === PauseReasons.PLAYER) {
+            this.pausedSounds = soundManager.pauseAll();
+            this.showPauseOverlay();
+        }
+        if (!wasPaused) {
+            this.clock.pause();
+            this.onPause();
+        }
+    }
+
+    /**
+     * Removes a pause reason and resumes the game when no reason is left
+     * @param {string} [reason=PauseReasons.PLAYER] - Pause reason, see PauseReasons
+     */
+    resume(reason = PauseReasons.PLAYER) {
+        if (!this.pauseReasons.delete(reason)) {
+            return;
+        }
+
+        if (reason === PauseReasons.PLAYER) {
+            this.hidePauseOverlay();
+            soundManager.resumeAll(this.pausedSounds);
+            this.pausedSounds = [];
+        }
+        if (!this.isPaused()) {
+            this.clock.resume();
+            this.onResume();
+        }
+    }
+
+    /**
+     * Called when the game is paused
+     * Timers of `this.clock` are frozen already; child classes override this
+     * to stop anything else that runs on its own, e.g. a CSS animation
+     * @protected
+     */
+    onPause() {}
+
+    /**
+     * Called when the game is resumed
+     * @protected
+     */
+    onResume() {}
+
+    /**
+     * Adds the pause button to the game screen
+     * Games call this after rendering their screen
+     * @protected
+     * @param {HTMLElement} [container] - Element to add the button to, defaults to `.game-screen`
+     */
+    addPauseButton(container = document.querySelector('.game-screen')) {
+        if (!container) {
+            return;
+        }
+
+        this.pauseButton = document.createElement('button');
+        this.pauseButton.className = 'pause-button';
+        this.pauseButton.setAttribute('aria-label', 'Пауза');
+        this.pauseButton.textContent = '⏸';
+        this.pauseButton.addEventListener('click', () => this.pause(PauseReasons.PLAYER));
+        container.appendChild(this.pauseButton);
+    }
+
+    /**
+     * Shows the pause screen with a resume button
+     * @private
+     */
+    showPauseOverlay() {
+        this.hidePauseOverlay();
+
+        this.pauseOverlay = document.createElement('div');
+        this.pauseOverlay.className = 'pause-overlay';
+        this.pauseOverlay.innerHTML = `
+            <div class="pause-overlay__content">
+                <h2 class="pause-overlay__title">Пауза</h2>
+                <button class="pause-overlay__resume">▶ Продължи</button>
+            </div>
+        `;
+        this.pauseOverlay.querySelector('.pause-overlay__resume')
+            .addEventListener('click', () => this.resume(PauseReasons.PLAYER));
+        document.body.appendChild(this.pauseOverlay);
+    }
+
+    /**
+     * Removes the pause screen
+     * @private
+     */
+    hidePauseOverlay() {
+        if (this.pauseOverlay) {
+            this.pauseOverlay.remove();
+            this.pauseOverlay = null;
+        }
+    }
+
+    /**
+     * Returns whether the game screen is shown, so that leaving the page should pause it
+     * @private
+     * @returns {boolean} Whether the pause button is on screen
+     */
+    canAutoPause() {
+        return Boolean(this.pauseButton && this.pauseButton.isConnected);
+    }
+
+    /**
+     * Pauses the game when the tab is hidden or the tablet is locked
+     * @private
+     */
+    handleVisibilityChange() {
+        if (document.visibilityState === 'hidden' && this.canAutoPause()) {
+            this.pause(PauseReasons.PLAYER);
+        }
+    }
+
+    /**
+     * Pauses the game when the window loses focus
+     * @private
+     */
+    handleWindowBlur() {
+        if (this.canAutoPause()) {
+            this.pause(PauseReasons.PLAYER);
+        }
+    }
+
     /**
      * Initializes base game components
      * @protected
@@ -107,7 +652,12 @@ export class Game {
             // Show loading screen with game name
             await this.loadingScreen.show(`Зареждане на игра "${gameName}"...`);
             
-            // Load game-specific CSS
+            // Pause when the player leaves the page
+            document.addEventListener('visibilitychange', this.handleVisibilityChange);
+            window.addEventListener('blur', this.handleWindowBlur);
+
+            // Load the shared game styles (pause button) and the game-specific CSS
+            await ensureCSS('components/Game/Game.css');
             this.cssPath = getCurrentGameCssPath();
             if (this.cssPath) {
                 await ensureCSS(this.cssPath);
@@ -147,6 +697,18 @@ export class Game {
      */
     async destroy() {
         try {
+            // Cancel all timers so none of them fires into the next screen
+            this.clock.cancelAll();
+
+            // Stop pausing and resuming before the popup is closed below
+            this.unsubscribePopUp();
+            document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+            window.removeEventListener('blur', this.handleWindowBlur);
+            this.hidePauseOverlay();
+            // Sounds paused with the game would otherwise stay paused after it is left
+            soundManager.stopPaused(this.pausedSounds);
+            this.pausedSounds = [];
+
             // Unload game-specific sounds
             this.sounds.forEach((gameSpecificId) => {
                 soundManager.unload(gameSpecificId);
@@ -170,6 +732,10 @@ export class Game {
 
             // Reset game state
             this.gameStarted = false;
+
+            if (activeGame === this) {
+                activeGame = null;
+            }
         } catch (error) {
             // Handle destruction errors
             handleError(
@@ -193,10 +759,9 @@ export class Game {
             // Destroy current game
             await this.destroy();
             soundManager.play('commonSounds', 'backToMainScreen');
-            // Set location hash and load home screen
-            window.location.hash = '#home';
-            const { loadScreen } = await import('../../app.js');
-            await loadScreen('home');
+            // Step back in history so the browser back button does not reopen the game
+            const { goBack } = await import('../../app.js');
+            await goBack('home');
         } catch (error) {
             // Handle navigation errors
             handleError(
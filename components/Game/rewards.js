@@ -0,0 +1,125 @@
+/**
+ * @fileOverview Star Rating and Reward Module for Kids Educational Game
+ *
+ * Turns game results into 1-3 stars and collects the stars of each player
+ * profile into a sticker collection shown on the home screen.
+ *
+ * Key Features:
+ * - Shared star thresholds for all games
+ * - Per-profile star totals (overall and per game)
+ * - Sticker unlocking every few stars
+ *
+ * @module Rewards
+ * @requires ../../utils/storage.js
+ * @requires ../../utils/profileManager.js
+ *
+ * @author Martin Lubenov
+ * @version 1.0.0
+ * @license MIT
+ */
+
+import storage from '../../utils/storage.js';
+import profileManager from '../../utils/profileManager.js';
+
+/**
+ * Stickers in the order they are unlocked
+ */
+export const STICKERS = [
+    '🐶', '🐱', '🦊', '🐼', '🐨', '🦁', '🐸', '🐵',
+    '🦄', '🐝', '🦋', '🐢', '🐬', '🦉', '🐙', '🦕',
+    '🚀', '🌈', '🎈', '🏆'
+];
+
+/**
+ * Number of stars needed for each new sticker
+ */
+export const STARS_PER_STICKER = 5;
+
+export const MIN_STARS = 1;
+export const MAX_STARS = 3;
+
+/**
+ * Converts a performance ratio into stars.
+ *
+ * @param {number} ratio - Performance between 0 (worst) and 1 (best)
+ * @param {Array<number>} [thresholds=[0.8, 0.5]] - Minimum ratio for 3 and for 2 stars
+ * @returns {number} 1, 2 or 3 stars
+ *
+ * @example
+ * starsFromRatio(minimumMoves / moves, [0.67, 0.4]);
+ */
+export function starsFromRatio(ratio, [threeStars, twoStars] = [0.8, 0.5]) {
+    if (ratio >= threeStars) {
+        return 3;
+    }
+    return ratio >= twoStars ? 2 : 1;
+}
+
+/**
+ * Clamps a star count to the supported range.
+ *
+ * @param {number} stars - Star count
+ * @returns {number} Star count between MIN_STARS and MAX_STARS
+ */
+export function clampStars(stars) {
+    return Math.min(MAX_STARS, Math.max(MIN_STARS, Math.round(stars) || MIN_STARS));
+}
+
+/**
+ * Returns the stickers unlocked with a given number of stars.
+ *
+ * @param {number} totalStars - Total stars collected
+ * @returns {Array<string>} Unlocked stickers
+ */
+export function getUnlockedStickers(totalStars) {
+    return STICKERS.slice(0, Math.floor(totalStars / STARS_PER_STICKER));
+}
+
+/**
+ * Builds the storage key of a profile's rewards.
+ * @param {string} profileId - Profile ID
+ * @returns {string} Storage key
+ */
+function getRewardsKey(profileId) {
+    return `rewards:${profileId}:stars`;
+}
+
+/**
+ * Returns the reward collection of a profile.
+ *
+ * @param {string} [profileId] - Profile ID, defaults to the current profile
+ * @returns {Promise<{totalStars: number, starsByGame: Object, stickers: Array<string>}>} Rewards
+ */
+export async function getRewards(profileId = profileManager.currentProfileId) {
+    const { totalStars = 0, starsByGame = {} } = profileId
+        ? await storage.get(getRewardsKey(profileId), {})
+        : {};
+
+    return { totalStars, starsByGame, stickers: getUnlockedStickers(totalStars) };
+}
+
+/**
+ * Adds stars earned in a game to the current profile's collection.
+ *
+ * @param {string} gameId - ID of the game module
+ * @param {number} stars - Stars earned
+ * @returns {Promise<{totalStars: number, newStickers: Array<string>}>} New total and stickers unlocked by these stars
+ */
+export async function addStars(gameId, stars) {
+    const profileId = profileManager.currentProfileId;
+    if (!profileId) {
+        return { totalStars: 0, newStickers: [] };
+    }
+
+    const { totalStars, starsByGame, stickers } = await getRewards(profileId);
+    const updated = {
+        totalStars: totalStars + stars,
+        starsByGame: { ...starsByGame, [gameId]: (starsByGame[gameId] || 0) + stars }
+    };
+    await storage.set(getRewardsKey(profileId), updated);
+
+    return {
+        totalStars: updated.totalStars,
+        newStickers: getUnlockedStickers(updated.totalStars).slice(stickers.length)
+    };
+}
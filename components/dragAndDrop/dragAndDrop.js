@@ -0,0 +1,407 @@
+import { ensureCSS } from '../../app.js';
+
+// Duration of the animated return to the start position in ms
+const RETURN_DURATION = 300;
+
+// Distance in px a pointer may move and still count as a tap
+const TAP_DISTANCE = 8;
+
+/**
+ * DragAndDrop Component
+ * Drags elements with Pointer Events, so mouse, pen and touch all work the same.
+ * The dragged element keeps the pointer capture, is pulled into the nearest drop
+ * target when it comes close (magnetic snap) and flies back to where it started
+ * when the drop is rejected. Optionally it reports taps and two-finger twists
+ * of the items, e.g. to rotate them.
+ *
+ * @example
+ * const dragAndDrop = new DragAndDrop({
+ *     container: document.querySelector('.puzzle-container'),
+ *     itemSelector: '.puzzle-piece',
+ *     targetSelector: '.empty-slot',
+ *     onDrop: (piece, slot) => piece.dataset.piece === slot.dataset.slot
+ * });
+ * dragAndDrop.destroy();
+ */
+export class DragAndDrop {
+    /**
+     * @constructor
+     * @param {Object} options - Drag options
+     * @param {HTMLElement} options.container - Element containing the draggable items and the drop targets
+     * @param {string} options.itemSelector - Selector of the draggable items
+     * @param {string} options.targetSelector - Selector of the drop targets
+     * @param {Function} options.onDrop - Called with (item, target) when an item is dropped on a target.
+     *        Returns false to reject the drop and send the item back; otherwise the handler is expected
+     *        to have moved the item where it belongs
+     * @param {Function} [options.onDragStart] - Called with (item) when a drag starts
+     * @param {Function} [options.onTap] - Called with (item) when an item is pressed and released without moving;
+     *        without it a tap is handled as a drop where the item started
+     * @param {Function} [options.onTwist] - Called with (item, degrees) while two fingers turn an item,
+     *        degrees being the clockwise turn since the last call
+     * @param {number} [options.snapDistance=60] - Distance in px from a target's center within which the item snaps to it
+     */
+    constructor({
+        container,
+        itemSelector,
+        targetSelector,
+        onDrop,
+        onDragStart = () => {},
+        onTap = null,
+        onTwist = null,
+        snapDistance = 60
+    }) {
+        this.container = container;
+        this.itemSelector = itemSelector;
+        this.targetSelector = targetSelector;
+        this.onDrop = onDrop;
+        this.onDragStart = onDragStart;
+        this.onTap = onTap;
+        this.onTwist = onTwist;
+        this.snapDistance = snapDistance;
+        this.drag = null;
+
+        this.handlePointerDown = this.handlePointerDown.bind(this);
+        this.handlePointerMove = this.handlePointerMove.bind(this);
+        this.handlePointerUp = this.handlePointerUp.bind(this);
+        this.handlePointerCancel = this.handlePointerCancel.bind(this);
+
+        ensureCSS('components/dragAndDrop/dragAndDrop.css').catch(error => {
+            console.warn('Failed to load drag and drop styles:', error);
+        });
+        this.container.addEventListener('pointerdown', this.handlePointerDown);
+        this.refresh();
+    }
+
+    /**
+     * Marks the draggable items, call it after adding new items to the container
+     * (touch dragging needs `touch-action: none` before the first touch)
+     */
+    refresh() {
+        this.container.querySelectorAll(this.itemSelector).forEach(item => {
+            item.classList.add('drag-and-drop__item');
+        });
+    }
+
+    /**
+     * Starts dragging the item under the pointer
+     * @private
+     * @param {PointerEvent} event - Pointer down event
+     */
+    handlePointerDown(event) {
+        const item = event.target.closest(this.itemSelector);
+        if (this.drag && item === this.drag.item && event.pointerId !== this.drag.pointerId) {
+            this.startTwist(event);
+            return;
+        }
+        if (this.drag || !item || !this.container.contains(item) || !event.isPrimary || event.button !== 0) {
+            return;
+        }
+        event.preventDefault();
+
+        // The layout size is used, as the bounding box of a rotated item is larger
+        const bounds = item.getBoundingClientRect();
+        const width = item.offsetWidth || bounds.width;
+        const height = item.offsetHeight || bounds.height;
+        const rect = {
+            left: bounds.left + (bounds.width - width) / 2,
+            top: bounds.top + (bounds.height - height) / 2,
+            width,
+            height
+        };
+        this.drag = {
+            item,
+            pointerId: event.pointerId,
+            startX: event.clientX,
+            startY: event.clientY,
+            rect,
+            target: null,
+            lastPoint: { x: event.clientX, y: event.clientY },
+            moved: false,
+            twist: null
+        };
+
+        if (item.setPointerCapture) {
+            item.setPointerCapture(event.pointerId);
+        }
+        item.addEventListener('pointermove', this.handlePointerMove);
+        item.addEventListener('pointerup', this.handlePointerUp);
+        item.addEventListener('pointercancel', this.handlePointerCancel);
+
+        // Keep the item where it is while it leaves the layout flow
+        item.style.position = 'fixed';
+        item.style.left = `${rect.left}px`;
+        item.style.top = `${rect.top}px`;
+        item.style.width = `${rect.width}px`;
+        item.style.height = `${rect.height}px`;
+        item.style.transition = 'none';
+        item.classList.add('drag-and-drop__item--dragging');
+
+        this.onDragStart(item);
+    }
+
+    /**
+     * Moves the dragged item with the pointer, snapping it to a nearby target
+     * @private
+     * @param {PointerEvent} event - Pointer move event
+     */
+    handlePointerMove(event) {
+        if (!this.drag) {
+            return;
+        }
+        if (this.drag.twist) {
+            this.updateTwist(event);
+        }
+        if (event.pointerId !== this.drag.pointerId) {
+            return;
+        }
+        this.drag.lastPoint = { x: event.clientX, y: event.clientY };
+        if (Math.hypot(event.clientX - this.drag.startX, event.clientY - this.drag.startY) > TAP_DISTANCE) {
+            this.drag.moved = true;
+        }
+
+        const target = this.findTarget(event.clientX, event.clientY);
+        this.setActiveTarget(target);
+
+        if (target) {
+            // Magnetic snap: show the item right over the target
+            const targetRect = target.getBoundingClientRect();
+            this.moveItem(
+                targetRect.left + (targetRect.width - this.drag.rect.width) / 2 - this.drag.rect.left,
+                targetRect.top + (targetRect.height - this.drag.rect.height) / 2 - this.drag.rect.top
+            );
+        } else {
+            this.moveItem(event.clientX - this.drag.startX, event.clientY - this.drag.startY);
+        }
+    }
+
+    /**
+     * Drops the dragged item on the nearby target, or sends it back
+     * @private
+     * @param {PointerEvent} event - Pointer up event
+     */
+    handlePointerUp(event) {
+        if (!this.drag) {
+            return;
+        }
+        if (this.drag.twist && event.pointerId === this.drag.twist.pointerId) {
+            this.drag.twist = null;
+            return;
+        }
+        if (event.pointerId !== this.drag.pointerId) {
+            return;
+        }
+
+        const { item, moved } = this.drag;
+        const target = this.findTarget(event.clientX, event.clientY);
+        this.endDrag();
+
+        if (!moved && this.onTap) {
+            this.resetItem(item);
+            this.onTap(item);
+        } else if (target && this.onDrop(item, target) !== false) {
+            this.resetItem(item);
+        } else {
+            this.returnItem(item);
+        }
+    }
+
+    /**
+     * Sends the item back when the browser cancels the drag (e.g. a system gesture)
+     * @private
+     * @param {PointerEvent} event - Pointer cancel event
+     */
+    handlePointerCancel(event) {
+        if (this.drag && this.drag.twist && event.pointerId === this.drag.twist.pointerId) {
+            this.drag.twist = null;
+            return;
+        }
+        if (!this.drag || event.pointerId !== this.drag.pointerId) {
+            return;
+        }
+
+        const { item } = this.drag;
+        this.endDrag();
+        this.returnItem(item);
+    }
+
+    /**
+     * Starts following a second finger on the dragged item
+     * @private
+     * @param {PointerEvent} event - Pointer down event of the second finger
+     */
+    startTwist(event) {
+        if (!this.onTwist || this.drag.twist) {
+            return;
+        }
+        event.preventDefault();
+
+        const { item } = this.drag;
+        if (item.setPointerCapture) {
+            item.setPointerCapture(event.pointerId);
+        }
+        // A twist is never a tap, even if the first finger stayed in place
+        this.drag.moved = true;
+        this.drag.twist = {
+            pointerId: event.pointerId,
+            points: {
+                [this.drag.pointerId]: this.drag.lastPoint,
+                [event.pointerId]: { x: event.clientX, y: event.clientY }
+            },
+            angle: null
+        };
+        this.drag.twist.angle = this.getTwistAngle();
+    }
+
+    /**
+     * Reports how much the two fingers turned since the last move
+     * @private
+     * @param {PointerEvent} event - Pointer move event of either finger
+     */
+    updateTwist(event) {
+        const { twist } = this.drag;
+        if (!twist.points[event.pointerId]) {
+            return;
+        }
+
+        twist.points[event.pointerId] = { x: event.clientX, y: event.clientY };
+        const angle = this.getTwistAngle();
+        // Keep the change between -180 and 180 degrees when the angle wraps around
+        const change = ((angle - twist.angle + 540) % 360) - 180;
+        twist.angle = angle;
+        if (change !== 0) {
+            this.onTwist(this.drag.item, change);
+        }
+    }
+
+    /**
+     * Returns the angle of the line between the two twisting fingers
+     * @private
+     * @returns {number} Angle in degrees
+     */
+    getTwistAngle() {
+        const [first, second] = Object.values(this.drag.twist.points);
+        return Math.atan2(second.y - first.y, second.x - first.x) * 180 / Math.PI;
+    }
+
+    /**
+     * Finds the drop target closest to a point within the snap distance
+     * @private
+     * @param {number} x - Client X coordinate
+     * @param {number} y - Client Y coordinate
+     * @returns {HTMLElement|null} The closest target or null
+     */
+    findTarget(x, y) {
+        let closest = null;
+        let closestDistance = Infinity;
+
+        this.container.querySelectorAll(this.targetSelector).forEach(target => {
+            if (target === this.drag.item || this.drag.item.contains(target)) {
+                return;
+            }
+
+            const rect = target.getBoundingClientRect();
+            const inside = x >= rect.left && x <= rect.right && y >= rect.top && y <= rect.bottom;
+            const distance = Math.hypot(x - (rect.left + rect.width / 2), y - (rect.top + rect.height / 2));
+
+            if ((inside || distance <= this.snapDistance) && distance < closestDistance) {
+                closest = target;
+                closestDistance = distance;
+            }
+        });
+
+        return closest;
+    }
+
+    /**
+     * Highlights the target the item would be dropped on
+     * @private
+     * @param {HTMLElement|null} target - Target to highlight
+     */
+    setActiveTarget(target) {
+        if (this.drag.target === target) {
+            return;
+        }
+        if (this.drag.target) {
+            this.drag.target.classList.remove('drag-and-drop__target--active');
+        }
+        if (target) {
+            target.classList.add('drag-and-drop__target--active');
+        }
+        this.drag.target = target;
+    }
+
+    /**
+     * Moves the dragged item relative to its start position
+     * @private
+     * @param {number} dx - Horizontal offset in px
+     * @param {number} dy - Vertical offset in px
+     */
+    moveItem(dx, dy) {
+        this.drag.item.style.transform = `translate(${dx}px, ${dy}px)`;
+    }
+
+    /**
+     * Releases the pointer and removes the drag listeners
+     * @private
+     */
+    endDrag() {
+        const { item, pointerId } = this.drag;
+
+        this.setActiveTarget(null);
+        if (item.releasePointerCapture && item.hasPointerCapture && item.hasPointerCapture(pointerId)) {
+            item.releasePointerCapture(pointerId);
+        }
+        item.removeEventListener('pointermove', this.handlePointerMove);
+        item.removeEventListener('pointerup', this.handlePointerUp);
+        item.removeEventListener('pointercancel', this.handlePointerCancel);
+        item.classList.remove('drag-and-drop__item--dragging');
+        this.drag = null;
+    }
+
+    /**
+     * Animates the item back to its start position
+     * @private
+     * @param {HTMLElement} item - Dragged item
+     */
+    returnItem(item) {
+        item.classList.add('drag-and-drop__item--returning');
+        item.style.transition = `transform ${RETURN_DURATION}ms ease-out`;
+        item.style.transform = 'translate(0px, 0px)';
+
+        let finished = false;
+        const finish = () => {
+            if (!finished) {
+                finished = true;
+                item.removeEventListener('transitionend', finish);
+                this.resetItem(item);
+            }
+        };
+        item.addEventListener('transitionend', finish);
+        // transitionend does not fire when the item did not move or transitions are disabled
+        setTimeout(finish, RETURN_DURATION + 50);
+    }
+
+    /**
+     * Removes the inline drag styles from an item
+     * @private
+     * @param {HTMLElement} item - Dragged item
+     */
+    resetItem(item) {
+        item.classList.remove('drag-and-drop__item--returning');
+        ['position', 'left', 'top', 'width', 'height', 'transform', 'transition'].forEach(property => {
+            item.style[property] = '';
+        });
+    }
+
+    /**
+     * Stops listening for drags
+     */
+    destroy() {
+        if (this.drag) {
+            const { item } = this.drag;
+            this.endDrag();
+            this.resetItem(item);
+        }
+        this.container.removeEventListener('pointerdown', this.handlePointerDown);
+    }
+}
@@ -0,0 +1,429 @@
+import { ensureCSS, goBack } from '../../app.js';
+import { games } from '../../gameModules/generatedGames.js';
+import { handleError, GameError, ErrorTypes } from '../../utils/errorHandler.js';
+import { escapeHTML, getRandomNumber } from '../../utils/helpers.js';
+import profileManager from '../../utils/profileManager.js';
+import soundManager, { DEFAULT_SOUND_SETTINGS } from '../../utils/soundManager.js';
+
+/**
+ * Human-readable names of the skill tags declared in game manifests
+ */
+export const SKILL_LABELS = {
+    'visual-discrimination': 'Зрително различаване',
+    'attention-to-detail': 'Внимание към детайла',
+    'object-recognition': 'Разпознаване на предмети',
+    'spatial-awareness': 'Пространствено мислене',
+    'problem-solving': 'Решаване на задачи',
+    'fine-motor-skills': 'Фина моторика',
+    'short-term-memory': 'Краткосрочна памет',
+    'concentration': 'Концентрация',
+    'pattern-recognition': 'Разпознаване на модели',
+    'sequential-memory': 'Последователна памет',
+    'auditory-processing': 'Слухово възприятие'
+};
+
+/**
+ * Labels of the volume sliders: the master volume and one per sound channel
+ */
+const VOLUME_LABELS = {
+    master: 'Общо',
+    music: 'Музика',
+    sfx: 'Ефекти',
+    voice: 'Глас',
+    ui: 'Бутони'
+};
+
+// Number of most recent results shown in each chart
+const CHART_LENGTH = 20;
+
+// Number of results compared on each side when calculating the trend
+const TREND_WINDOW = 5;
+
+/**
+ * Reads a metric value from a stored result.
+ * Game-specific values live in `details`, common ones (e.g. `level`) on the result itself.
+ * @param {Object} result - Stored result
+ * @param {string} key - Metric key
+ * @returns {number|null} Metric value or null if the result does not have it
+ */
+function getMetricValue(result, key) {
+    const value = result.details && result.details[key] !== undefined ? result.details[key] : result[key];
+    return typeof value === 'number' && Number.isFinite(value) ? value : null;
+}
+
+/**
+ * Calculates the average of a list of numbers.
+ * @param {Array<number>} values - Values
+ * @returns {number} Average, or 0 for an empty list
+ */
+function average(values) {
+    return values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+}
+
+/**
+ * Summarizes the history of one metric.
+ * @param {Array<number>} values - Metric values, oldest first
+ * @param {string} better - 'higher' or 'lower'
+ * @returns {{latest: number, average: number, trend: string}} Summary; trend is 'up', 'down' or 'flat'
+ */
+function summarizeMetric(values, better) {
+    const recent = values.slice(-TREND_WINDOW);
+    const previous = values.slice(-TREND_WINDOW * 2, -TREND_WINDOW);
+    let trend = 'flat';
+
+    if (previous.length > 0) {
+        const change = average(recent) - average(previous);
+        const improved = better === 'lower' ? change < 0 : change > 0;
+        if (Math.abs(change) > 0.05 * Math.max(Math.abs(average(previous)), 1)) {
+            trend = improved ? 'up' : 'down';
+        }
+    }
+
+    return {
+        latest: values[values.length - 1],
+        average: average(values.slice(-TREND_WINDOW * 2)),
+        trend
+    };
+}
+
+/**
+ * Formats a number for display.
+ * @param {number} value - Value
+ * @returns {string} Value rounded to at most one decimal
+ */
+function formatNumber(value) {
+    return String(Math.round(value * 10) / 10);
+}
+
+/**
+ * Renders a bar chart of metric values as inline SVG.
+ * @param {Array<number>} values - Values, oldest first
+ * @returns {string} SVG markup
+ */
+function renderBarChart(values) {
+    const width = 200;
+    const height = 60;
+    const barWidth = width / CHART_LENGTH;
+    const max = Math.max(...values, 1);
+
+    const bars = values.map((value, index) => {
+        const barHeight = Math.max((value / max) * height, 2);
+        return `<rect x="${index * barWidth + 1}" y="${(height - barHeight).toFixed(1)}" width="${barWidth - 2}" height="${barHeight.toFixed(1)}" rx="2"></rect>`;
+    }).join('');
+
+    return `<svg class="parent-dashboard__chart" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none" aria-hidden="true">${bars}</svg>`;
+}
+
+/**
+ * ParentDashboard Component
+ * Gated screen that shows each player's learning progress, grouped by skill.
+ */
+export class ParentDashboard {
+    constructor() {
+        this.element = null;
+        this.selectedProfileId = null;
+        this.gateAnswer = null;
+    }
+
+    /**
+     * Renders the dashboard screen, starting with the parent gate
+     * @returns {Promise<void>}
+     */
+    async show() {
+        await ensureCSS('components/parentDashboard/parentDashboard.css');
+
+        document.body.innerHTML = '<div class="parent-dashboard"></div>';
+        this.element = document.querySelector('.parent-dashboard');
+        this.selectedProfileId = profileManager.currentProfileId;
+        this.renderGate();
+    }
+
+    /**
+     * Renders a multiplication question that young children cannot answer
+     * @private
+     * @param {boolean} [retry=false] - Whether the previous answer was wrong
+     */
+    renderGate(retry = false) {
+        const a = getRandomNumber(3, 9);
+        const b = getRandomNumber(3, 9);
+        this.gateAnswer = a * b;
+
+        this.element.innerHTML = `
+            <form class="parent-dashboard__gate">
+                <h1 class="parent-dashboard__title">За родители</h1>
+                <p class="parent-dashboard__question">Колко е ${a} × ${b}?</p>
+                ${retry ? '<p class="parent-dashboard__error" role="alert">Грешен отговор, опитайте пак.</p>' : ''}
+                <input class="parent-dashboard__input" name="answer" type="number" inputmode="numeric" autocomplete="off" required>
+                <div class="parent-dashboard__actions">
+                    <button type="button" class="parent-dashboard__back">Назад</button>
+                    <button type="submit" class="parent-dashboard__submit">Напред</button>
+                </div>
+            </form>
+        `;
+
+        const form = this.element.querySelector('form');
+        form.addEventListener('submit', (event) => {
+            event.preventDefault();
+            if (Number(new FormData(form).get('answer')) === this.gateAnswer) {
+                this.renderDashboard();
+            } else {
+                this.renderGate(true);
+            }
+        });
+        this.element.querySelector('.parent-dashboard__back').addEventListener('click', () => goBack('home'));
+        form.querySelector('input').focus();
+    }
+
+    /**
+     * Renders the progress of the selected profile grouped by skill
+     * @private
+     */
+    async renderDashboard() {
+        try {
+            const profiles = profileManager.getProfiles();
+            if (!profiles.some(profile => profile.id === this.selectedProfileId)) {
+                this.selectedProfileId = profiles.length ? profiles[0].id : null;
+            }
+
+            const resultsByGame = {};
+            await Promise.all(Object.keys(games).map(async gameId => {
+                resultsByGame[gameId] = await profileManager.getResults(gameId, this.selectedProfileId);
+            }));
+            const soundSettings = await this.getSoundSettings();
+
+            this.element.innerHTML = `
+                <header class="parent-dashboard__header">
+                    <h1 class="parent-dashboard__title">Напредък</h1>
+                    <div class="parent-dashboard__profiles" role="tablist">
+                        ${profiles.map(profile => `
+                            <button role="tab" data-profile="${profile.id}"
+                                class="parent-dashboard__profile${profile.id === this.selectedProfileId ? ' parent-dashboard__profile--active' : ''}"
+                                aria-selected="${profile.id === this.selectedProfileId}">
+                                ${profile.avatar} ${escapeHTML(profile.name)}
+                            </button>
+                        `).join('')}
+                    </div>
+                </header>
+                <main class="parent-dashboard__skills">
+                    ${this.renderSkills(resultsByGame)}
+                    ${this.renderSoundSettings(soundSettings)}
+                    ${this.renderProfileSettings(profiles)}
+                </main>
+                <button class="parent-dashboard__back">Назад</button>
+            `;
+
+            this.element.querySelectorAll('.parent-dashboard__profile').forEach(button => {
+                button.addEventListener('click', () => {
+                    this.selectedProfileId = button.dataset.profile;
+                    this.renderDashboard();
+                });
+            });
+            this.element.querySelectorAll('.parent-dashboard__volume-input').forEach(input => {
+                input.addEventListener('change', () => this.changeVolume(soundSettings, input.dataset.volume, input.value / 100));
+            });
+            const deleteButton = this.element.querySelector('.parent-dashboard__delete');
+            if (deleteButton) {
+                deleteButton.addEventListener('click', () => this.deleteProfile(this.selectedProfileId));
+            }
+            this.element.querySelector('.parent-dashboard__back').addEventListener('click', () => goBack('home'));
+        } catch (error) {
+            handleError(
+                error instanceof GameError ? error : new GameError(
+                    'Failed to render parent dashboard',
+                    ErrorTypes.RUNTIME,
+                    { originalError: error.message }
+                ),
+                'ParentDashboard.renderDashboard'
+            );
+        }
+    }
+
+    /**
+     * Returns the sound settings of the selected profile
+     * The current player's settings are the ones the SoundManager is using
+     * @private
+     * @returns {Promise<Object>} Sound settings ({ master, muted, channels })
+     */
+    async getSoundSettings() {
+        if (this.selectedProfileId === profileManager.currentProfileId) {
+            return soundManager.getSettings();
+        }
+
+        const stored = await profileManager.getSettings('sound', this.selectedProfileId);
+        return {
+            ...DEFAULT_SOUND_SETTINGS,
+            ...stored,
+            channels: { ...DEFAULT_SOUND_SETTINGS.channels, ...stored.channels }
+        };
+    }
+
+    /**
+     * Renders the volume sliders of the selected profile
+     * @private
+     * @param {Object} settings - Sound settings ({ master, channels })
+     * @returns {string} Sound settings markup
+     */
+    renderSoundSettings(settings) {
+        const volumes = { master: settings.master, ...settings.channels };
+
+        return `
+            <section class="parent-dashboard__skill parent-dashboard__sound">
+                <h2 class="parent-dashboard__skill-title">Звук</h2>
+                ${Object.entries(VOLUME_LABELS).map(([key, label]) => `
+                    <label class="parent-dashboard__volume">
+                        <span>${label}</span>
+                        <input class="parent-dashboard__volume-input" type="range" min="0" max="100" step="5"
+                            data-volume="${key}" value="${Math.round(volumes[key] * 100)}">
+                    </label>
+                `).join('')}
+            </section>
+        `;
+    }
+
+    /**
+     * Changes a volume of the selected profile
+     * The current player's volumes go through the SoundManager, which stores them;
+     * other players' volumes are stored directly
+     * @private
+     * @param {Object} settings - Sound settings of the selected profile, updated in place
+     * @param {string} key - 'master' or a sound channel
+     * @param {number} volume - Volume between 0 and 1
+     * @returns {Promise<void>}
+     */
+    async changeVolume(settings, key, volume) {
+        if (key === 'master') {
+            settings.master = volume;
+        } else {
+            settings.channels[key] = volume;
+        }
+
+        if (this.selectedProfileId === profileManager.currentProfileId) {
+            if (key === 'master') {
+                soundManager.setMasterVolume(volume);
+            } else {
+                soundManager.setChannelVolume(key, volume);
+            }
+            return;
+        }
+
+        try {
+            await profileManager.saveSettings('sound', settings, this.selectedProfileId);
+        } catch (error) {
+            console.warn('Failed to save sound settings:', error);
+        }
+    }
+
+    /**
+     * Renders the button that deletes the selected profile
+     * Deleting lives behind the parent gate, so children cannot remove each other's progress
+     * @private
+     * @param {Array<Object>} profiles - All profiles
+     * @returns {string} Profile settings markup, empty without a selected profile
+     */
+    renderProfileSettings(profiles) {
+        const profile = profiles.find(p => p.id === this.selectedProfileId);
+        if (!profile) {
+            return '';
+        }
+
+        return `
+            <section class="parent-dashboard__skill">
+                <h2 class="parent-dashboard__skill-title">Играч</h2>
+                <button class="parent-dashboard__delete">🗑️ Изтрий ${profile.avatar} ${escapeHTML(profile.name)}</button>
+            </section>
+        `;
+    }
+
+    /**
+     * Deletes a profile and its progress after confirmation
+     * Deleting the current player clears the selection, so the picker asks who plays next
+     * @private
+     * @param {string} profileId - ID of the profile to delete
+     * @returns {Promise<void>}
+     */
+    async deleteProfile(profileId) {
+        const profile = profileManager.getProfiles().find(p => p.id === profileId);
+        if (!profile || !window.confirm(`Да изтрием ли играча ${profile.name} и целия му напредък?`)) {
+            return;
+        }
+
+        try {
+            await profileManager.deleteProfile(profileId);
+            this.selectedProfileId = profileManager.currentProfileId;
+            await this.renderDashboard();
+        } catch (error) {
+            handleError(
+                error instanceof GameError ? error : new GameError(
+                    'Failed to delete profile',
+                    ErrorTypes.RUNTIME,
+                    { originalError: error.message }
+                ),
+                'ParentDashboard.deleteProfile'
+            );
+        }
+    }
+
+    /**
+     * Renders one section per skill tag with the games that train it
+     * @private
+     * @param {Object} resultsByGame - Stored results keyed by game ID
+     * @returns {string} Skills markup
+     */
+    renderSkills(resultsByGame) {
+        const skills = [...new Set(Object.values(games).flatMap(game => game.skills))];
+
+        return skills.map(skill => `
+            <section class="parent-dashboard__skill">
+                <h2 class="parent-dashboard__skill-title">${SKILL_LABELS[skill] || skill}</h2>
+                ${Object.entries(games)
+                    .filter(([, game]) => game.skills.includes(skill))
+                    .map(([gameId, game]) => this.renderGame(game, resultsByGame[gameId] || []))
+                    .join('')}
+            </section>
+        `).join('');
+    }
+
+    /**
+     * Renders the metric charts of one game
+     * @private
+     * @param {Object} game - Game registry entry
+     * @param {Array<Object>} results - Stored results of the game
+     * @returns {string} Game markup
+     */
+    renderGame(game, results) {
+        const metrics = game.metrics.map(metric => {
+            const values = results
+                .map(result => getMetricValue(result, metric.key))
+                .filter(value => value !== null);
+
+            if (values.length === 0) {
+                return `<div class="parent-dashboard__metric parent-dashboard__metric--empty">${metric.label}: няма данни</div>`;
+            }
+
+            const { latest, average: recentAverage, trend } = summarizeMetric(values, metric.better);
+            const trendLabels = { up: '↗ подобрение', down: '↘ влошаване', flat: '→ без промяна' };
+
+            return `
+                <div class="parent-dashboard__metric">
+                    <div class="parent-dashboard__metric-header">
+                        <span>${metric.label}</span>
+                        <span class="parent-dashboard__trend parent-dashboard__trend--${trend}">${trendLabels[trend]}</span>
+                    </div>
+                    ${renderBarChart(values.slice(-CHART_LENGTH))}
+                    <div class="parent-dashboard__metric-summary">
+                        Последно: ${formatNumber(latest)} ${metric.unit} · Средно: ${formatNumber(recentAverage)} ${metric.unit}
+                    </div>
+                </div>
+            `;
+        }).join('');
+
+        return `
+            <article class="parent-dashboard__game">
+                <h3 class="parent-dashboard__game-title">${game.icon} ${game.title}
+                    <small>(${results.length} игри)</small>
+                </h3>
+                ${metrics}
+            </article>
+        `;
+    }
+}
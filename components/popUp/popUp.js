@@ -1,7 +1,7 @@
 import { unloadCSS } from '../../utils/helpers.js';
 import { handleError, GameError, ErrorTypes } from '../../utils/errorHandler.js';
 import { ensureCSS } from '../../app.js';
-import soundManager from '../../utils/soundManager.js';
+import soundManager, { SoundChannels } from '../../utils/soundManager.js';
 
 // Singleton instance
 let instance = null;
@@ -18,9 +18,11 @@ export class PopUp {
         this.popupCloseButton = null;
         this.cssLoaded = false;
         this.cssLink = null;
+        this.toggleListeners = new Set();
 
         // Load common sounds
         soundManager.loadSound('popUpSounds', 'components/popUp/sounds/popUpSounds.mp3', {
+            channel: SoundChannels.UI,
             sprite: {
                 "closePopUp": [
                     0,
@@ -34,6 +36,25 @@ export class PopUp {
         });
     }
 
+    /**
+     * Subscribes to popups being opened and closed
+     * @param {Function} listener - Called with true when a popup opens and false when it closes
+     * @returns {Function} Unsubscribe function
+     */
+    onToggle(listener) {
+        this.toggleListeners.add(listener);
+        return () => this.toggleListeners.delete(listener);
+    }
+
+    /**
+     * Notifies the toggle listeners
+     * @private
+     * @param {boolean} open - Whether a popup is open
+     */
+    notifyToggle(open) {
+        this.toggleListeners.forEach(listener => listener(open));
+    }
+
     /**
      * Loads the CSS for the popup
      * @private
@@ -63,6 +84,71 @@ export class PopUp {
      * @param {number} state - Current game state
      */
     async showPopup(message, state) {
+        return this.openPopup(
+            message,
+            [{ text: state === PopUpStates.INITIAL_GAME ? 'Започни' : 'Опитай отново' }],
+            [],
+            'popUp.showPopup'
+        );
+    }
+
+    /**
+     * Shows a popup with one button per choice and resolves with the chosen value
+     * @param {string} message - Message to display
+     * @param {Array<{text: string, value: *}>} choices - Buttons to show
+     * @param {*} [selected] - Value of the choice to highlight, e.g. the last one used
+     * @returns {Promise<*>} Value of the chosen button
+     */
+    async showChoicePopup(message, choices, selected) {
+        return this.openPopup(
+            message,
+            choices.map(choice => ({ ...choice, selected: choice.value === selected })),
+            [],
+            'popUp.showChoicePopup'
+        );
+    }
+
+    /**
+     * Shows an animated completion popup with the stars earned in a round
+     * @param {string} message - Message to display
+     * @param {number} stars - Stars earned (1 to 3)
+     * @param {Array<string>} [newStickers=[]] - Stickers unlocked by these stars
+     */
+    async showCompletionPopup(message, stars, newStickers = []) {
+        const starsElement = document.createElement('div');
+        starsElement.className = 'popup-stars';
+        starsElement.setAttribute('aria-label', `${stars} от 3 звезди`);
+
+        for (let i = 1; i <= 3; i++) {
+            const star = document.createElement('span');
+            star.className = i <= stars ? 'popup-star popup-star--earned' : 'popup-star';
+            star.style.animationDelay = `${0.3 * i + 0.4}s`;
+            star.textContent = '★';
+            starsElement.appendChild(star);
+        }
+
+        const extraContent = [starsElement];
+        if (newStickers.length > 0) {
+            const stickerElement = document.createElement('p');
+            stickerElement.className = 'popup-sticker';
+            stickerElement.textContent = `Нов стикер: ${newStickers.join(' ')}`;
+            extraContent.push(stickerElement);
+        }
+
+        return this.openPopup(message, [{ text: 'Продължи' }], extraContent, 'popUp.showCompletionPopup');
+    }
+
+    /**
+     * Builds and shows a popup, resolving when one of its buttons is clicked
+     * A single button is the usual close button, several buttons are shown as choices
+     * @private
+     * @param {string} message - Message to display
+     * @param {Array<{text: string, value: *, selected: boolean}>} buttons - Buttons closing the popup
+     * @param {Array<HTMLElement>} extraContent - Elements shown between the message and the buttons
+     * @param {string} context - Error context
+     * @returns {Promise<*>} Value of the clicked button
+     */
+    async openPopup(message, buttons, extraContent, context) {
         try {
             // Play open popup sound
             soundManager.play('popUpSounds', 'openPopUp');
@@ -84,26 +170,44 @@ export class PopUp {
             this.popupMessage.id = 'popup-message';
             this.popupMessage.textContent = message;
 
-            this.popupCloseButton = document.createElement('button');
-            this.popupCloseButton.id = 'popup-close';
-            this.popupCloseButton.textContent = state === PopUpStates.INITIAL_GAME ? 'Започни' : 'Опитай отново';
+            const buttonElements = buttons.map(({ text, selected }) => {
+                const button = document.createElement('button');
+                button.textContent = text;
+                if (buttons.length === 1) {
+                    button.id = 'popup-close';
+                } else {
+                    button.className = selected ? 'popup-choice popup-choice--selected' : 'popup-choice';
+                }
+                return button;
+            });
+            this.popupCloseButton = buttonElements[0];
 
             popupContent.appendChild(this.popupMessage);
-            popupContent.appendChild(this.popupCloseButton);
+            extraContent.forEach(element => popupContent.appendChild(element));
+            if (buttons.length === 1) {
+                popupContent.appendChild(this.popupCloseButton);
+            } else {
+                const choices = document.createElement('div');
+                choices.className = 'popup-choices';
+                buttonElements.forEach(button => choices.appendChild(button));
+                popupContent.appendChild(choices);
+            }
             this.popup.appendChild(popupContent);
 
             document.body.appendChild(this.popup);
+            soundManager.duck('popup');
+            this.notifyToggle(true);
 
             return new Promise((resolve) => {
-                const closeHandler = () => {
-                    // Play close popup sound
-                    soundManager.play('popUpSounds', 'closePopUp');
-
-                    this.closePopup();
-                    resolve();
-                };
+                buttonElements.forEach((button, index) => {
+                    button.addEventListener('click', () => {
+                        // Play close popup sound
+                        soundManager.play('popUpSounds', 'closePopUp');
 
-                this.popupCloseButton.addEventListener('click', closeHandler);
+                        this.closePopup();
+                        resolve(buttons[index].value);
+                    });
+                });
             });
         } catch (error) {
             handleError(
@@ -112,7 +216,7 @@ export class PopUp {
                     ErrorTypes.RUNTIME,
                     { originalError: error.message }
                 ),
-                'popUp.showPopup'
+                context
             );
         }
     }
@@ -124,6 +228,8 @@ export class PopUp {
         if (this.popup) {
             this.popup.remove();
             this.popup = null;
+            soundManager.unduck('popup');
+            this.notifyToggle(false);
         }
     }
 
@@ -135,6 +241,7 @@ export class PopUp {
         if (this.popup) {
             this.popup.remove();
             this.popup = null;
+            soundManager.unduck('popup');
         }
 
         // Only unload CSS when completely destroying the popup component
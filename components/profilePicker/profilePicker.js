@@ -0,0 +1,170 @@
+import { ensureCSS } from '../../app.js';
+import { handleError, GameError, ErrorTypes } from '../../utils/errorHandler.js';
+import { escapeHTML } from '../../utils/helpers.js';
+import profileManager, { AVATARS } from '../../utils/profileManager.js';
+
+/**
+ * ProfilePicker Component
+ * Full-screen "Кой играе?" picker shown before the building screen.
+ * Lets the player choose an existing profile or create a new one.
+ */
+export class ProfilePicker {
+    constructor() {
+        this.element = null;
+        this.resolveSelection = null;
+    }
+
+    /**
+     * Shows the picker and waits until a profile is selected
+     * @returns {Promise<Object>} The selected profile
+     */
+    async show() {
+        await ensureCSS('components/profilePicker/profilePicker.css');
+
+        this.close();
+        this.element = document.createElement('div');
+        this.element.className = 'profile-picker';
+        document.body.appendChild(this.element);
+
+        return new Promise((resolve) => {
+            this.resolveSelection = resolve;
+            this.renderProfiles();
+        });
+    }
+
+    /**
+     * Renders the list of profiles
+     * @private
+     */
+    renderProfiles() {
+        const profiles = profileManager.getProfiles();
+
+        // New players go straight to the creation form
+        if (profiles.length === 0) {
+            this.renderCreateForm();
+            return;
+        }
+
+        this.element.innerHTML = `
+            <div class="profile-picker__content">
+                <h1 class="profile-picker__title">Кой играе?</h1>
+                <div class="profile-picker__list">
+                    ${profiles.map(profile => `
+                        <div class="profile-picker__card" data-profile="${profile.id}">
+                            <button class="profile-picker__select" aria-label="${escapeHTML(profile.name)}">
+                                <span class="profile-picker__avatar">${profile.avatar}</span>
+                                <span class="profile-picker__name">${escapeHTML(profile.name)}</span>
+                            </button>
+                        </div>
+                    `).join('')}
+                    <button class="profile-picker__card profile-picker__add">
+                        <span class="profile-picker__avatar">➕</span>
+                        <span class="profile-picker__name">Нов играч</span>
+                    </button>
+                </div>
+            </div>
+        `;
+
+        this.element.querySelectorAll('.profile-picker__card[data-profile]').forEach(card => {
+            card.querySelector('.profile-picker__select')
+                .addEventListener('click', () => this.selectProfile(card.dataset.profile));
+        });
+
+        this.element.querySelector('.profile-picker__add')
+            .addEventListener('click', () => this.renderCreateForm());
+    }
+
+    /**
+     * Renders the form for creating a new profile
+     * @private
+     */
+    renderCreateForm() {
+        const hasProfiles = profileManager.getProfiles().length > 0;
+
+        this.element.innerHTML = `
+            <form class="profile-picker__content profile-picker__form">
+                <h1 class="profile-picker__title">Нов играч</h1>
+                <input class="profile-picker__input" name="name" maxlength="20"
+                    placeholder="Име" autocomplete="off" required>
+                <div class="profile-picker__avatars" role="radiogroup" aria-label="Избери животинче">
+                    ${AVATARS.map((avatar, index) => `
+                        <label class="profile-picker__avatar-option">
+                            <input type="radio" name="avatar" value="${avatar}" ${index === 0 ? 'checked' : ''}>
+                            <span>${avatar}</span>
+                        </label>
+                    `).join('')}
+                </div>
+                <div class="profile-picker__actions">
+                    ${hasProfiles ? '<button type="button" class="profile-picker__cancel">Назад</button>' : ''}
+                    <button type="submit" class="profile-picker__submit">Готово</button>
+                </div>
+            </form>
+        `;
+
+        const form = this.element.querySelector('form');
+        form.addEventListener('submit', (event) => {
+            event.preventDefault();
+            const data = new FormData(form);
+            this.createProfile(data.get('name'), data.get('avatar'));
+        });
+
+        const cancelButton = this.element.querySelector('.profile-picker__cancel');
+        if (cancelButton) {
+            cancelButton.addEventListener('click', () => this.renderProfiles());
+        }
+
+        form.querySelector('.profile-picker__input').focus();
+    }
+
+    /**
+     * Creates a profile and selects it
+     * @private
+     * @param {string} name - Player name
+     * @param {string} avatar - Avatar emoji
+     */
+    async createProfile(name, avatar) {
+        if (!name || !name.trim()) {
+            return;
+        }
+
+        try {
+            const profile = await profileManager.createProfile(name, avatar);
+            this.selectProfile(profile.id);
+        } catch (error) {
+            handleError(
+                error instanceof GameError ? error : new GameError(
+                    'Failed to create profile',
+                    ErrorTypes.RUNTIME,
+                    { originalError: error.message }
+                ),
+                'ProfilePicker.createProfile'
+            );
+        }
+    }
+
+    /**
+     * Selects a profile, closes the picker and resolves the pending show() call
+     * @private
+     * @param {string} profileId - ID of the selected profile
+     */
+    selectProfile(profileId) {
+        profileManager.selectProfile(profileId);
+        const profile = profileManager.getCurrentProfile();
+        this.close();
+
+        if (this.resolveSelection) {
+            this.resolveSelection(profile);
+            this.resolveSelection = null;
+        }
+    }
+
+    /**
+     * Removes the picker from the page
+     */
+    close() {
+        if (this.element) {
+            this.element.remove();
+            this.element = null;
+        }
+    }
+}
@@ -0,0 +1,85 @@
+import { ensureCSS } from '../../app.js';
+import soundManager from '../../utils/soundManager.js';
+
+/**
+ * SoundToggle Component
+ * Speaker button in the corner of every screen that mutes and unmutes all sounds.
+ * While sounds wait for the first user gesture it asks to be tapped, and the tap enables sound instead of muting.
+ * Screens replace the whole page body, so the button puts itself back whenever it is removed.
+ */
+export class SoundToggle {
+    constructor() {
+        this.element = null;
+        this.observer = null;
+        this.locked = false;
+        // Whether audio was locked when the button was pressed; the page unlocks audio before the click arrives
+        this.lockedOnPress = false;
+    }
+
+    /**
+     * Adds the button to the page and keeps it there
+     * @returns {Promise<void>}
+     */
+    async mount() {
+        if (this.element) {
+            return;
+        }
+        await ensureCSS('components/soundToggle/soundToggle.css');
+
+        this.element = document.createElement('button');
+        this.element.className = 'sound-toggle';
+        this.element.addEventListener('pointerdown', () => this.rememberLock());
+        this.element.addEventListener('keydown', () => this.rememberLock());
+        this.element.addEventListener('click', () => this.handleClick());
+        soundManager.onSettingsChange(() => this.update());
+        soundManager.onAudioLockChange(locked => {
+            this.locked = locked;
+            this.update();
+        });
+        this.locked = soundManager.isLocked();
+        this.update();
+        document.body.appendChild(this.element);
+
+        this.observer = new MutationObserver(() => {
+            if (!this.element.isConnected) {
+                document.body.appendChild(this.element);
+            }
+        });
+        this.observer.observe(document.body, { childList: true });
+    }
+
+    /**
+     * Remembers whether audio was locked when the button was pressed
+     * @private
+     */
+    rememberLock() {
+        this.lockedOnPress = this.locked;
+    }
+
+    /**
+     * Enables sound if it waits for a tap, otherwise mutes or unmutes
+     * @private
+     */
+    handleClick() {
+        const locked = this.locked || this.lockedOnPress;
+        this.lockedOnPress = false;
+        if (locked) {
+            soundManager.unlock();
+        } else {
+            soundManager.toggleMute();
+        }
+    }
+
+    /**
+     * Shows whether the sounds are muted or wait for a tap
+     * @private
+     */
+    update() {
+        const muted = soundManager.isMuted();
+        this.element.textContent = muted ? '🔇' : '🔊';
+        this.element.setAttribute('aria-label', this.locked ? 'Докосни за звук' : (muted ? 'Включи звука' : 'Изключи звука'));
+        this.element.setAttribute('aria-pressed', String(muted));
+        this.element.classList.toggle('sound-toggle--muted', muted);
+        this.element.classList.toggle('sound-toggle--locked', this.locked);
+    }
+}
@@ -0,0 +1,80 @@
+import { ensureCSS, goBack } from '../../app.js';
+import { games } from '../../gameModules/generatedGames.js';
+import { handleError, GameError, ErrorTypes } from '../../utils/errorHandler.js';
+import { STICKERS, STARS_PER_STICKER, getRewards } from '../Game/rewards.js';
+
+/**
+ * StickerBook Component
+ * Shows the stickers collected by the current player, the stars needed for
+ * the next one and how many stars each game has given.
+ */
+export class StickerBook {
+    constructor() {
+        this.element = null;
+    }
+
+    /**
+     * Renders the sticker book screen
+     * @returns {Promise<void>}
+     */
+    async show() {
+        try {
+            await ensureCSS('components/stickerBook/stickerBook.css');
+            const { totalStars, starsByGame, stickers } = await getRewards();
+
+            document.body.innerHTML = `
+                <div class="sticker-book">
+                    <h1 class="sticker-book__title">Моите стикери</h1>
+                    <p class="sticker-book__total">⭐ ${totalStars}</p>
+                    ${this.renderNextSticker(totalStars, stickers.length)}
+                    <div class="sticker-book__grid">
+                        ${STICKERS.map((sticker, index) => index < stickers.length
+                            ? `<span class="sticker-book__sticker">${sticker}</span>`
+                            : '<span class="sticker-book__sticker sticker-book__sticker--locked" aria-label="Заключен стикер">?</span>'
+                        ).join('')}
+                    </div>
+                    <ul class="sticker-book__games">
+                        ${Object.entries(games).map(([gameId, game]) => `
+                            <li class="sticker-book__game">
+                                <span>${game.icon} ${game.title}</span>
+                                <span>⭐ ${starsByGame[gameId] || 0}</span>
+                            </li>
+                        `).join('')}
+                    </ul>
+                    <button class="sticker-book__back">Назад</button>
+                </div>
+            `;
+
+            this.element = document.querySelector('.sticker-book');
+            this.element.querySelector('.sticker-book__back').addEventListener('click', () => goBack('home'));
+        } catch (error) {
+            handleError(
+                error instanceof GameError ? error : new GameError(
+                    'Failed to render sticker book',
+                    ErrorTypes.RUNTIME,
+                    { originalError: error.message }
+                ),
+                'StickerBook.show'
+            );
+        }
+    }
+
+    /**
+     * Renders the progress towards the next sticker
+     * @private
+     * @param {number} totalStars - Total stars collected
+     * @param {number} unlockedCount - Number of unlocked stickers
+     * @returns {string} Progress markup
+     */
+    renderNextSticker(totalStars, unlockedCount) {
+        if (unlockedCount >= STICKERS.length) {
+            return '<p class="sticker-book__next">Събра всички стикери! 🎉</p>';
+        }
+
+        const collected = totalStars % STARS_PER_STICKER;
+        return `
+            <p class="sticker-book__next">Още ${STARS_PER_STICKER - collected} ⭐ до следващия стикер</p>
+            <progress class="sticker-book__progress" max="${STARS_PER_STICKER}" value="${collected}"></progress>
+        `;
+    }
+}
@@ -2,18 +2,264 @@
 export const games = {
     "game1": {
         "script": "./games/game1/game1.js",
-        "style": "games/game1/game1.css"
+        "style": "games/game1/game1.css",
+        "title": "Търсачи",
+        "icon": "🔍",
+        "description": "Открий търсения обект, преди да изтече времето.",
+        "ageRange": {
+            "min": 3,
+            "max": 6
+        },
+        "skills": [
+            "visual-discrimination",
+            "attention-to-detail",
+            "object-recognition"
+        ],
+        "difficulties": [
+            "easy",
+            "medium",
+            "hard"
+        ],
+        "metrics": [
+            {
+                "key": "accuracy",
+                "label": "Точност",
+                "unit": "%",
+                "better": "higher"
+            },
+            {
+                "key": "timeToFind",
+                "label": "Време за откриване",
+                "unit": "сек.",
+                "better": "lower"
+            }
+        ],
+        "music": "games/game1/music.mp3",
+        "assets": {
+            "images": [
+                {
+                    "name": "ball",
+                    "src": "games/game1/images/ball.png",
+                    "width": 225,
+                    "height": 225,
+                    "label": "Топка"
+                },
+                {
+                    "name": "bear",
+                    "src": "games/game1/images/bear.png",
+                    "width": 2176,
+                    "height": 1920,
+                    "label": "Мече"
+                },
+                {
+                    "name": "book",
+                    "src": "games/game1/images/book.png",
+                    "width": 225,
+                    "height": 225,
+                    "label": "Книжка"
+                },
+                {
+                    "name": "cup",
+                    "src": "games/game1/images/cup.png",
+                    "width": 555,
+                    "height": 450,
+                    "label": "Чаша"
+                },
+                {
+                    "name": "lamp",
+                    "src": "games/game1/images/lamp.png",
+                    "width": 225,
+                    "height": 225,
+                    "label": "Лампа"
+                }
+            ],
+            "sounds": [],
+            "files": [
+                "games/game1/images/ball.json",
+                "games/game1/images/ball.png",
+                "games/game1/images/bear.json",
+                "games/game1/images/bear.png",
+                "games/game1/images/book.json",
+                "games/game1/images/book.png",
+                "games/game1/images/cup.json",
+                "games/game1/images/cup.png",
+                "games/game1/images/lamp.json",
+                "games/game1/images/lamp.png"
+            ]
+        }
     },
     "game2": {
         "script": "./games/game2/game2.js",
-        "style": "games/game2/game2.css"
+        "style": "games/game2/game2.css",
+        "title": "Пъзелчовци",
+        "icon": "🧩",
+        "description": "Подреди парченцата на точните им места и сглоби картинката.",
+        "ageRange": {
+            "min": 3,
+            "max": 7
+        },
+        "skills": [
+            "spatial-awareness",
+            "problem-solving",
+            "fine-motor-skills"
+        ],
+        "difficulties": [
+            "easy",
+            "medium",
+            "hard"
+        ],
+        "metrics": [
+            {
+                "key": "wrongPlacements",
+                "label": "Грешно поставени парченца",
+                "unit": "",
+                "better": "lower"
+            }
+        ],
+        "music": "games/game2/music.mp3",
+        "assets": {
+            "images": [
+                {
+                    "name": "ball",
+                    "src": "games/game2/images/ball.png",
+                    "width": 225,
+                    "height": 225
+                },
+                {
+                    "name": "bear",
+                    "src": "games/game2/images/bear.png",
+                    "width": 2176,
+                    "height": 1920
+                },
+                {
+                    "name": "book",
+                    "src": "games/game2/images/book.png",
+                    "width": 225,
+                    "height": 225
+                },
+                {
+                    "name": "cup",
+                    "src": "games/game2/images/cup.png",
+                    "width": 900,
+                    "height": 730
+                },
+                {
+                    "name": "lamp",
+                    "src": "games/game2/images/lamp.png",
+                    "width": 225,
+                    "height": 225
+                }
+            ],
+            "sounds": [],
+            "files": [
+                "games/game2/images/ball.png",
+                "games/game2/images/bear.png",
+                "games/game2/images/book.png",
+                "games/game2/images/cup.png",
+                "games/game2/images/lamp.png"
+            ]
+        }
     },
     "game3": {
         "script": "./games/game3/game3.js",
-        "style": "games/game3/game3.css"
+        "style": "games/game3/game3.css",
+        "title": "Намери двойките",
+        "icon": "🎴",
+        "description": "Обръщай картите и намери всички еднакви двойки.",
+        "ageRange": {
+            "min": 4,
+            "max": 8
+        },
+        "skills": [
+            "short-term-memory",
+            "concentration",
+            "pattern-recognition"
+        ],
+        "difficulties": [
+            "easy",
+            "medium",
+            "hard"
+        ],
+        "metrics": [
+            {
+                "key": "movesPerPair",
+                "label": "Ходове на двойка",
+                "unit": "",
+                "better": "lower"
+            }
+        ],
+        "music": "games/game3/music.mp3",
+        "assets": {
+            "images": [],
+            "sounds": [
+                {
+                    "name": "game3Sounds",
+                    "src": "games/game3/sounds/game3Sounds.mp3",
+                    "sprite": {
+                        "closeCard": [
+                            0,
+                            360
+                        ],
+                        "openCard": [
+                            2000,
+                            240.00000000000023
+                        ]
+                    }
+                }
+            ],
+            "files": [
+                "games/game3/sounds/game3Sounds.json",
+                "games/game3/sounds/game3Sounds.mp3"
+            ]
+        }
     },
     "game4": {
         "script": "./games/game4/game4.js",
-        "style": "games/game4/game4.css"
+        "style": "games/game4/game4.css",
+        "title": "Последователност на светлини",
+        "icon": "💡",
+        "description": "Запомни реда, в който светват кръгчетата, и го повтори.",
+        "ageRange": {
+            "min": 4,
+            "max": 9
+        },
+        "skills": [
+            "sequential-memory",
+            "pattern-recognition",
+            "auditory-processing"
+        ],
+        "difficulties": [
+            "easy",
+            "medium",
+            "hard"
+        ],
+        "metrics": [
+            {
+                "key": "level",
+                "label": "Достигнато ниво",
+                "unit": "",
+                "better": "higher"
+            }
+        ],
+        "music": "games/game4/music.mp3",
+        "assets": {
+            "images": [],
+            "sounds": [
+                {
+                    "name": "game4Sounds",
+                    "src": "games/game4/sounds/game4Sounds.mp3",
+                    "sprite": {
+                        "circlePop": [
+                            0,
+                            548.5714285714286
+                        ]
+                    }
+                }
+            ],
+            "files": [
+                "games/game4/sounds/game4Sounds.json",
+                "games/game4/sounds/game4Sounds.mp3"
+            ]
+        }
     }
 };
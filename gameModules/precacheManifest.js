@@ -0,0 +1,81 @@
+
+self.precacheManifest = {
+    "version": "629530001046",
+    "files": [
+        "./",
+        "index.html",
+        "app.js",
+        "style.css",
+        "logo.png",
+        "home.png",
+        "sw.js",
+        "components/dragAndDrop/dragAndDrop.css",
+        "components/dragAndDrop/dragAndDrop.js",
+        "components/Game/Game.css",
+        "components/Game/Game.js",
+        "components/Game/rewards.js",
+        "components/loadingScreen/loadingScreen.css",
+        "components/loadingScreen/loadingScreen.js",
+        "components/parentDashboard/parentDashboard.css",
+        "components/parentDashboard/parentDashboard.js",
+        "components/popUp/popUp.css",
+        "components/popUp/popUp.js",
+        "components/popUp/sounds/popUpSounds.json",
+        "components/popUp/sounds/popUpSounds.mp3",
+        "components/profilePicker/profilePicker.css",
+        "components/profilePicker/profilePicker.js",
+        "components/soundToggle/soundToggle.css",
+        "components/soundToggle/soundToggle.js",
+        "components/stickerBook/stickerBook.css",
+        "components/stickerBook/stickerBook.js",
+        "utils/adaptiveDifficulty.js",
+        "utils/audioFallback.js",
+        "utils/errorHandler.js",
+        "utils/gameClock.js",
+        "utils/helpers.js",
+        "utils/offlineSupport.js",
+        "utils/profileManager.js",
+        "utils/router.js",
+        "utils/soundManager.js",
+        "utils/storage.js",
+        "utils/toneSynth.js",
+        "utils/voicePrompts.js",
+        "sounds/commonSounds.json",
+        "sounds/commonSounds.mp3",
+        "sounds/stickersMusic.mp3",
+        "vendor/howler/howler.min.js",
+        "vendor/howler/LICENSE.md",
+        "gameModules/generatedGames.js",
+        "games/game1/game1.js",
+        "games/game1/game1.css",
+        "games/game1/music.mp3",
+        "games/game1/images/ball.json",
+        "games/game1/images/ball.png",
+        "games/game1/images/bear.json",
+        "games/game1/images/bear.png",
+        "games/game1/images/book.json",
+        "games/game1/images/book.png",
+        "games/game1/images/cup.json",
+        "games/game1/images/cup.png",
+        "games/game1/images/lamp.json",
+        "games/game1/images/lamp.png",
+        "games/game2/game2.js",
+        "games/game2/game2.css",
+        "games/game2/music.mp3",
+        "games/game2/images/ball.png",
+        "games/game2/images/bear.png",
+        "games/game2/images/book.png",
+        "games/game2/images/cup.png",
+        "games/game2/images/lamp.png",
+        "games/game3/game3.js",
+        "games/game3/game3.css",
+        "games/game3/music.mp3",
+        "games/game3/sounds/game3Sounds.json",
+        "games/game3/sounds/game3Sounds.mp3",
+        "games/game4/game4.js",
+        "games/game4/game4.css",
+        "games/game4/music.mp3",
+        "games/game4/sounds/game4Sounds.json",
+        "games/game4/sounds/game4Sounds.mp3"
+    ]
+};
@@ -6,9 +6,12 @@
  * 
  * Game Mechanics:
  * - Dynamic image grid generation
+ * - Rounds with growing grids, repeated objects and several targets
  * - Timed gameplay
  * - Limited attempts
  * - Interactive object selection
+ * - Spoken target prompts and object names (long press)
+ * - Escalating hints when the player is stuck
  * - Sound and visual feedback
  * 
  * Learning Objectives:
@@ -29,6 +32,7 @@
  * @requires ../../utils/helpers.js
  * @requires ../../utils/errorHandler.js
  * @requires ../../utils/soundManager.js
+ * @requires ../../utils/voicePrompts.js
  * 
  * @author Martin Lubenov
  * @version 1.0.0
@@ -42,19 +46,63 @@
  */
 
 import { Game } from '../../components/Game/Game.js';
+import { starsFromRatio } from '../../components/Game/rewards.js';
 import { PopUpStates } from '../../components/popUp/popUp.js';
 import { shuffleArray, getGameImages } from '../../utils/helpers.js';
 import { handleError, GameError, ErrorTypes } from '../../utils/errorHandler.js';
 import soundManager from '../../utils/soundManager.js';
+import voicePrompts from '../../utils/voicePrompts.js';
+
+/**
+ * Rounds in the order they are played; the last one repeats.
+ * - objects: number of objects in the grid, pictures repeat when there are fewer pictures
+ * - targets: number of different pictures to find
+ * - copies: how many times each target is in the grid (all copies must be found)
+ */
+export const ROUNDS = [
+    { objects: 5, targets: 1, copies: 1 },
+    { objects: 6, targets: 1, copies: 1 },
+    { objects: 8, targets: 1, copies: 2 },
+    { objects: 9, targets: 2, copies: 1 },
+    { objects: 12, targets: 1, copies: 3 },
+    { objects: 12, targets: 3, copies: 1 }
+];
+
+// Objects per row before the grid wraps
+const MAX_COLUMNS = 6;
+
+// Milliseconds an object has to be held to hear its name
+const LONG_PRESS_DURATION = 600;
+
+// Milliseconds without input before the next hint
+const HINT_IDLE_TIME = 5000;
+
+// Hints in the order they are shown; the last one repeats
+const HINT_LEVELS = ['area', 'dim', 'wiggle'];
+
+// Share of the score and of the star rating lost per hint
+const HINT_PENALTY = 0.15;
 
 export class ObjectFindingGame extends Game {
-    constructor() {
-        super();
-        this.attempts = 3;
-        this.timeLeft = 20;
-        this.timerInterval = null;
-        this.targetObject = null;
+    constructor(options = {}) {
+        super(options);
+        this.attempts = 0;
+        this.timeLeft = 0;
+        this.timeLimit = 0;
+        this.timerId = null;
+        this.round = 1;
+        this.targets = [];
+        this.objects = [];
+        this.foundCount = 0;
+        this.goal = 0;
+        // Playing time (ms) it took to find each object of the round, and when the last one was found
+        this.findTimes = [];
+        this.lastFoundAt = 0;
         this.pictureList = [];
+        this.longPressTimer = null;
+        this.longPressed = false;
+        this.hintTimer = null;
+        this.hintsUsed = 0;
         this.popUpState = PopUpStates.INITIAL_GAME;
         this.gameElements = {
             timeLeftElement: null,
@@ -65,13 +113,41 @@ export class ObjectFindingGame extends Game {
         this.gameStarted = false;
     }
 
+    /**
+     * Attempts and seconds per round for each difficulty level
+     * @override
+     * @returns {Object<string, Object>} Settings keyed by difficulty level
+     */
+    getDifficultyLevels() {
+        return {
+            easy: { attempts: 5, time: 30 },
+            medium: { attempts: 3, time: 20 },
+            hard: { attempts: 2, time: 12 }
+        };
+    }
+
+    /**
+     * Ranges of the settings tuned in adaptive mode
+     * @override
+     * @returns {Object<string, Object>} Ranges keyed by setting name
+     */
+    getAdaptiveParameters() {
+        return {
+            attempts: { min: 2, max: 5, step: 1, harder: 'lower' },
+            time: { min: 10, max: 30, step: 2, harder: 'lower' }
+        };
+    }
+
     /**
      * Initializes and starts the game
      */
     async startGame() {
         try {
             await this.initialize('Търсачи');
+            const { round = 1 } = await this.loadProgress();
+            this.round = round;
             await this.loadGameAssets();
+            this.prepareRound();
             await this.setupGameScreen();
             await this.setupEventListeners();
             
@@ -83,7 +159,10 @@ export class ObjectFindingGame extends Game {
 
             // Start the game after popup is closed
             this.gameStarted = true;
+            this.startRound();
             this.startTimer();
+            this.startHints();
+            this.speakTarget();
 
         } catch (error) {
             handleError(
@@ -135,15 +214,86 @@ export class ObjectFindingGame extends Game {
         await this.loadingScreen.updateProgress(2, 4);
         await this.loadingScreen.updateMessage('Подготовка на игралното поле...');
 
-        // Format and shuffle picture list
-        this.pictureList = this.pictureList.map(img => ({
-            name: img.name.charAt(0).toUpperCase() + img.name.slice(1),
-            img: img.img
-        }));
-        shuffleArray(this.pictureList);
-        
+        // Keep what the game needs: the name, the picture and what to say
+        this.pictureList = this.pictureList.map(({ name, label, img, voice }) => ({ name, label, img, voice }));
+
         await this.loadingScreen.updateProgress(3, 4);
-        this.targetObject = this.pictureList[Math.floor(Math.random() * this.pictureList.length)];
+    }
+
+    /**
+     * Picks the targets and fills the grid for the current round
+     * @private
+     */
+    prepareRound() {
+        const round = ROUNDS[Math.min(this.round, ROUNDS.length) - 1];
+        const pictures = shuffleArray([...this.pictureList]);
+
+        // Keep at least one picture as a distractor
+        const targetCount = Math.max(1, Math.min(round.targets, pictures.length - 1));
+        this.targets = pictures.slice(0, targetCount).map(picture => ({ ...picture, found: 0 }));
+        const distractors = pictures.slice(targetCount);
+
+        const objects = pictures.slice(0, targetCount).flatMap(picture => Array(round.copies).fill(picture));
+        for (let i = 0; objects.length < round.objects; i++) {
+            objects.push(distractors[i % distractors.length]);
+        }
+
+        this.objects = shuffleArray(objects);
+        this.goal = targetCount * round.copies;
+        this.foundCount = 0;
+        this.findTimes = [];
+        this.hintsUsed = 0;
+        this.attempts = this.settings.attempts;
+
+        // Every extra object to find adds half of the round time
+        this.timeLimit = this.settings.time + (this.goal - 1) * Math.round(this.settings.time / 2);
+        this.timeLeft = this.timeLimit;
+    }
+
+    /**
+     * Builds the label of the objects to find
+     * @private
+     * @returns {string} HTML of the target names
+     */
+    getTargetsHTML() {
+        const copies = this.goal / this.targets.length;
+        return this.targets
+            .map(target => `<span class="target-name${target.found === copies ? ' target-name--found' : ''}">${target.label}</span>`)
+            .join(', ');
+    }
+
+    /**
+     * Renders the objects of the current round and the goal in the hint panel
+     * @private
+     */
+    renderRound() {
+        const container = document.querySelector('.picture-container');
+        const columns = Math.ceil(this.objects.length / Math.ceil(this.objects.length / MAX_COLUMNS));
+
+        container.style.setProperty('--object-columns', columns);
+        container.innerHTML = this.objects.map((object, index) => `
+            <div class="object" data-name="${object.name}" data-index="${index}">
+                <img src="${object.img}" alt="${object.label}" />
+            </div>
+        `).join('');
+        this.gameElements.picture = container.querySelectorAll('.object');
+
+        const copies = this.goal / this.targets.length;
+        document.getElementById('target-label').textContent = copies > 1 ? 'Намерете всички:' : 'Търсете:';
+        document.getElementById('round-number').textContent = this.round;
+        this.updateGoalProgress();
+        this.gameElements.attemptsElement.textContent = this.attempts;
+        this.gameElements.timeLeftElement.textContent = this.timeLeft;
+    }
+
+    /**
+     * Shows how many of the objects to find were found
+     * @private
+     */
+    updateGoalProgress() {
+        document.getElementById('goal-progress').textContent = this.foundCount;
+        document.getElementById('goal-total').textContent = this.goal;
+        document.getElementById('target-object').innerHTML = this.getTargetsHTML();
     }
 
     /**
@@ -154,15 +304,14 @@ export class ObjectFindingGame extends Game {
         const gameScreen = `
             <div class="game-screen">
                 <h1>Търсачи</h1>
-                <div class="picture-container">
-                    ${this.pictureList.map(object => `
-                        <div class="object" id="${object.name}">
-                            <img src="${object.img}" alt="${object.name}" />
-                        </div>
-                    `).join('')}
-                </div>
+                <div class="picture-container"></div>
                 <div class="hint">
-                    <p>Търсете: <span id="target-object">${this.targetObject.name}</span></p>
+                    <p id="round-text">Ниво: <span id="round-number">${this.round}</span></p>
+                    <p>
+                        <span id="target-label">Търсете:</span> <span id="target-object"></span>
+                        <button id="speak-target" class="speak-button" aria-label="Чуй отново">🔊</button>
+                    </p>
+                    <p id="goal-text">Намерени: <span id="goal-progress">0</span> от <span id="goal-total">${this.goal}</span></p>
                     <p id="attempts-text">Опити до победата: <span id="attempts-left">${this.attempts}</span></p>
                     <p id="timer-text">Време: <span id="time-left">${this.timeLeft}</span> секунди</p>
                 </div>
@@ -179,10 +328,16 @@ export class ObjectFindingGame extends Game {
         this.gameElements = {
             timeLeftElement: document.getElementById('time-left'),
             attemptsElement: document.getElementById('attempts-left'),
-            picture: document.querySelectorAll('.object'),
+            pictureContainer: document.querySelector('.picture-container'),
+            picture: null,
+            speakButton: document.getElementById('speak-target'),
             backButton: document.getElementById('back')
         };
 
+        this.renderRound();
+
+        this.addPauseButton();
+
         // Style attempts counter
         this.gameElements.attemptsElement.style.fontSize = "1.5rem";
         this.gameElements.attemptsElement.style.color = "#ff5733";
@@ -193,13 +348,84 @@ export class ObjectFindingGame extends Game {
      * @private
      */
     setupEventListeners() {
-        this.gameElements.picture.forEach(object => {
-            object.addEventListener('click', this.handleObjectClick.bind(this));
-        });
+        // The objects are replaced every round, so clicks are handled by their container
+        this.handleObjectClick = this.handleObjectClick.bind(this);
+        this.handleObjectPress = this.handleObjectPress.bind(this);
+        this.cancelLongPress = this.cancelLongPress.bind(this);
+        this.speakTarget = this.speakTarget.bind(this);
+
+        const container = this.gameElements.pictureContainer;
+        container.addEventListener('click', this.handleObjectClick);
+        container.addEventListener('pointerdown', this.handleObjectPress);
+        ['pointerup', 'pointerleave', 'pointercancel'].forEach(type => container.addEventListener(type, this.cancelLongPress));
+        container.addEventListener('contextmenu', event => event.preventDefault());
+
+        this.gameElements.speakButton.addEventListener('click', this.speakTarget);
 
         this.gameElements.backButton.addEventListener('click', this.handleBackToHome.bind(this));
     }
 
+    /**
+     * Builds the spoken prompt of the current round
+     * A single target with a recorded prompt plays that clip; otherwise "Намери"
+     * is followed by the recorded or synthesized name of every target
+     * @private
+     * @returns {Array<Object>} Prompt parts ({ text, clip })
+     */
+    getTargetPrompt() {
+        const copies = this.goal / this.targets.length;
+
+        if (copies === 1 && this.targets.every(target => target.voice.prompt)) {
+            return this.targets.map(target => ({ text: `Намери ${target.label}`, clip: target.voice.prompt }));
+        }
+
+        return [
+            { text: copies > 1 ? 'Намери всички' : 'Намери' },
+            ...this.targets.map(target => ({ text: target.label, clip: target.voice.name }))
+        ];
+    }
+
+    /**
+     * Speaks the objects to find
+     * @private
+     */
+    speakTarget() {
+        voicePrompts.speak(this.getTargetPrompt());
+    }
+
+    /**
+     * Starts waiting for a long press on an object
+     * @private
+     */
+    handleObjectPress(event) {
+        this.cancelLongPress();
+        this.longPressed = false;
+
+        const object = event.target.closest('.object');
+        if (!object) return;
+
+        if (this.gameStarted) {
+            this.startHints();
+        }
+
+        this.longPressTimer = this.clock.setTimeout(() => {
+            this.longPressTimer = null;
+            this.longPressed = true;
+
+            const picture = this.pictureList.find(item => item.name === object.dataset.name);
+            voicePrompts.speak({ text: picture.label, clip: picture.voice.name });
+        }, LONG_PRESS_DURATION);
+    }
+
+    /**
+     * Stops waiting for a long press
+     * @private
+     */
+    cancelLongPress() {
+        this.clock.cancel(this.longPressTimer);
+        this.longPressTimer = null;
+    }
+
     /**
      * Handles object click events
      * @private
@@ -207,20 +433,56 @@ export class ObjectFindingGame extends Game {
     async handleObjectClick(event) {
         if (!this.gameStarted) return;
 
-        const object = event.currentTarget;
-        const objectId = object.id;
+        // The click that ends a long press only names the object
+        if (this.longPressed) {
+            this.longPressed = false;
+            return;
+        }
+
+        const object = event.target.closest('.object');
+        // Dimmed objects were ruled out by a hint, so clicking them costs no attempt
+        if (!object || object.classList.contains('found') || object.classList.contains('object--dimmed')) return;
 
-        if (objectId === this.targetObject.name) {
+        this.startHints();
+        const target = this.targets.find(item => item.name === object.dataset.name);
+
+        if (target) {
             object.classList.add('found');
+            target.found++;
+            this.foundCount++;
+            this.recordFindTime();
+            this.updateGoalProgress();
+
+            if (this.foundCount < this.goal) {
+                soundManager.play('commonSounds', 'success');
+                return;
+            }
+
+            this.gameStarted = false;
             this.popUpState = PopUpStates.GAME_WON;
-            clearInterval(this.timerInterval);
-            soundManager.play('commonSounds', 'gameCompleted');
-            await this.popUp.showPopup(
-                'Браво! Намери правилния обект! Искаш ли да играеш отново?',
-                PopUpStates.GAME_WON
-            );
+            this.stopTimer();
+            this.stopHints();
+            await this.completeRound({
+                score: Math.round(this.timeLeft * Math.max(0, 1 - HINT_PENALTY * this.hintsUsed)),
+                mistakes: this.settings.attempts - this.attempts,
+                details: {
+                    round: this.round,
+                    goal: this.goal,
+                    hints: this.hintsUsed,
+                    attemptsLeft: this.attempts,
+                    timeLeft: this.timeLeft,
+                    timeLimit: this.timeLimit,
+                    accuracy: this.getAccuracy(),
+                    timeToFind: this.getTimeToFind()
+                }
+            }, this.goal > 1
+                ? `Браво! Намери всички ${this.goal} обекта! Продължаваме към ниво ${this.round + 1}.`
+                : `Браво! Намери правилния обект! Продължаваме към ниво ${this.round + 1}.`);
+
+            this.round++;
+            await this.saveProgress({ round: this.round });
 
-            // Wait for popup to close and then retry the game
+            // Wait for popup to close and then start the next round
             await this.retryGame();
         } else {
             object.classList.add('not-found');
@@ -228,9 +490,24 @@ export class ObjectFindingGame extends Game {
             this.gameElements.attemptsElement.textContent = this.attempts;
 
             if (this.attempts === 0) {
-                clearInterval(this.timerInterval);
+                this.gameStarted = false;
+                this.stopTimer();
+                this.stopHints();
                 this.popUpState = PopUpStates.GAME_LOST;
-                soundManager.play('commonSounds', 'error');                
+                this.recordResult({
+                    mistakes: this.settings.attempts,
+                    completed: false,
+                    details: {
+                        round: this.round,
+                        goal: this.goal,
+                        found: this.foundCount,
+                        hints: this.hintsUsed,
+                        attemptsLeft: 0,
+                        timeLeft: this.timeLeft,
+                        accuracy: this.getAccuracy()
+                    }
+                });
+                soundManager.play('commonSounds', 'error');
                 await this.popUp.showPopup(
                     'Опа! Свършиха ти опитите. Искаш ли да опиташ отново?',
                     PopUpStates.GAME_LOST
@@ -250,67 +527,204 @@ export class ObjectFindingGame extends Game {
     }
 
     /**
-     * Resets the game for a new attempt
+     * Restarts the wait for the next hint
+     * Hints already shown stay until the player does something
+     * @private
+     */
+    startHints() {
+        this.stopHints();
+        this.gameElements.pictureContainer.querySelectorAll('.object--hint-area, .object--dimmed, .object--wiggle')
+            .forEach(object => object.classList.remove('object--hint-area', 'object--dimmed', 'object--wiggle'));
+        this.hintTimer = this.clock.setTimeout(() => this.showHint(), HINT_IDLE_TIME);
+    }
+
+    /**
+     * Stops waiting for the next hint
+     * @private
+     */
+    stopHints() {
+        this.clock.cancel(this.hintTimer);
+        this.hintTimer = null;
+    }
+
+    /**
+     * Shows the next hint for a target that is not found yet:
+     * pulses its part of the grid, then dims half of the wrong objects and finally wiggles it
+     * @private
+     */
+    showHint() {
+        this.hintTimer = null;
+        const objects = Array.from(this.gameElements.picture);
+        const target = objects.find(object =>
+            !object.classList.contains('found') && this.targets.some(item => item.name === object.dataset.name));
+        if (!this.gameStarted || !target) return;
+
+        const level = HINT_LEVELS[Math.min(this.hintsUsed, HINT_LEVELS.length - 1)];
+        this.hintsUsed = Math.min(this.hintsUsed + 1, HINT_LEVELS.length);
+
+        if (level === 'area') {
+            this.getGridArea(objects, target).forEach(object => object.classList.add('object--hint-area'));
+        } else if (level === 'dim') {
+            const wrongObjects = shuffleArray(objects.filter(object =>
+                !this.targets.some(item => item.name === object.dataset.name)));
+            wrongObjects.slice(0, Math.floor(wrongObjects.length / 2))
+                .forEach(object => object.classList.add('object--dimmed'));
+        } else {
+            // Restart the animation when the last hint repeats
+            target.classList.remove('object--wiggle');
+            void target.offsetWidth;
+            target.classList.add('object--wiggle');
+        }
+
+        this.hintTimer = this.clock.setTimeout(() => this.showHint(), HINT_IDLE_TIME);
+    }
+
+    /**
+     * Returns the objects in the same quarter of the grid as an object
+     * (the same half of the row when the grid has a single row)
+     * @private
+     * @param {Array<HTMLElement>} objects - Objects in grid order
+     * @param {HTMLElement} object - Object whose area is needed
+     * @returns {Array<HTMLElement>} Objects in the area
+     */
+    getGridArea(objects, object) {
+        const columns = Number(this.gameElements.pictureContainer.style.getPropertyValue('--object-columns'));
+        const rows = Math.ceil(objects.length / columns);
+        const getArea = index => [
+            rows > 1 && Math.floor(index / columns) >= rows / 2,
+            index % columns >= columns / 2
+        ].join();
+
+        const area = getArea(objects.indexOf(object));
+        return objects.filter((item, index) => getArea(index) === area);
+    }
+
+    /**
+     * Rates a won round by the attempts and the time left, minus the hints used
+     * @override
+     * @param {Object} result - Round result
+     * @returns {number} Stars earned (1 to 3)
+     */
+    calculateStars(result) {
+        const { attemptsLeft, timeLeft, timeLimit, hints = 0 } = result.details;
+        return starsFromRatio(0.5 * (attemptsLeft / this.settings.attempts) + 0.5 * (timeLeft / timeLimit) - HINT_PENALTY * hints);
+    }
+
+    /**
+     * Calculates the share of correct clicks in the current round
+     * @private
+     * @returns {number|null} Accuracy in percent, or null if nothing was clicked
+     */
+    getAccuracy() {
+        const clicks = (this.settings.attempts - this.attempts) + this.foundCount;
+        return clicks > 0 ? Math.round(this.foundCount * 100 / clicks) : null;
+    }
+
+    /**
+     * Stores how long the player looked for the object just found
+     * The time comes from the game clock, so pauses and popups are not counted
+     * @private
+     */
+    recordFindTime() {
+        const now = this.clock.elapsed();
+        const since = this.findTimes.length > 0 ? this.lastFoundAt : this.roundStartedAt;
+        this.findTimes.push(now - since);
+        this.lastFoundAt = now;
+    }
+
+    /**
+     * Returns the average time to find one object in the round
+     * @private
+     * @returns {number|null} Seconds with one decimal, or null if nothing was found
+     */
+    getTimeToFind() {
+        if (this.findTimes.length === 0) {
+            return null;
+        }
+        const average = this.findTimes.reduce((sum, time) => sum + time, 0) / this.findTimes.length;
+        return Math.round(average / 100) / 10;
+    }
+
+    /**
+     * Sets up a new grid for the current round
      * @private
      */
     async retryGame() {
-        // Reset game state
-        this.attempts = 3;
-        this.timeLeft = 20;
+        this.prepareRound();
+        this.renderRound();
         this.gameStarted = true;
-        
-        // Shuffle images
-        shuffleArray(this.pictureList);
-        this.targetObject = this.pictureList[Math.floor(Math.random() * this.pictureList.length)];
-        
-        // Update UI elements
-        document.getElementById('target-object').textContent = this.targetObject.name;
-        this.gameElements.attemptsElement.textContent = this.attempts;
-        this.gameElements.timeLeftElement.textContent = this.timeLeft;
-        
-        // Remove visual states from previous game
-        this.gameElements.picture.forEach(object => {
-            object.classList.remove('found', 'not-found');
-        });
-        
-        // Shuffle the DOM elements
-        const pictureContainer = document.querySelector('.picture-container');
-        const pictureElements = Array.from(pictureContainer.children);
-        shuffleArray(pictureElements);
-        pictureElements.forEach(element => {
-            pictureContainer.appendChild(element);
-        });
-        
+
         // Restart the timer
+        this.startRound();
         this.startTimer();
+        this.startHints();
+        this.speakTarget();
     }
 
     /**
      * Starts the game timer
+     * The countdown runs on the game clock, so it stops while the game is paused
      * @private
      */
     startTimer() {
-        if (this.timerInterval) {
-            clearInterval(this.timerInterval);
-        }
-
-        this.timerInterval = setInterval(async () => {
-            this.timeLeft--;
-            this.gameElements.timeLeftElement.textContent = this.timeLeft;
+        this.stopTimer();
+        this.timerId = this.clock.countdown(this.timeLeft, {
+            onTick: (secondsLeft) => {
+                this.timeLeft = secondsLeft;
+                this.gameElements.timeLeftElement.textContent = this.timeLeft;
+            },
+            onComplete: () => this.handleTimeUp()
+        });
+    }
 
-            if (this.timeLeft === 0) {
-                clearInterval(this.timerInterval);
-                this.popUpState = PopUpStates.TIME_EXPIRED;
-                soundManager.play('commonSounds', 'error');
-                await this.popUp.showPopup(
-                    'Времето изтече! Искаш ли да опиташ отново?',
-                    PopUpStates.TIME_EXPIRED
-                );
+    /**
+     * Stops the game timer
+     * @private
+     */
+    stopTimer() {
+        this.clock.cancel(this.timerId);
+        this.timerId = null;
+    }
 
-                // Wait for popup to close and then retry the game
-                await this.retryGame();
+    /**
+     * Ends the round when the time is up
+     * @private
+     */
+    async handleTimeUp() {
+        this.timerId = null;
+        this.gameStarted = false;
+        this.stopHints();
+        this.popUpState = PopUpStates.TIME_EXPIRED;
+        this.recordResult({
+            mistakes: this.settings.attempts - this.attempts,
+            completed: false,
+            details: {
+                round: this.round,
+                goal: this.goal,
+                found: this.foundCount,
+                hints: this.hintsUsed,
+                attemptsLeft: this.attempts,
+                timeLeft: 0,
+                accuracy: this.getAccuracy()
             }
-        }, 1000);
+        });
+        soundManager.play('commonSounds', 'error');
+        await this.popUp.showPopup(
+            'Времето изтече! Искаш ли да опиташ отново?',
+            PopUpStates.TIME_EXPIRED
+        );
+
+        // Wait for popup to close and then retry the game
+        await this.retryGame();
+    }
+
+    /**
+     * Stops the spoken prompt and any long press while the game is paused
+     * @override
+     */
+    onPause() {
+        voicePrompts.stop();
+        this.cancelLongPress();
     }
 
     // /**
@@ -326,15 +740,20 @@ export class ObjectFindingGame extends Game {
      * @override
      */
     async destroy() {
-        if (this.timerInterval) {
-            clearInterval(this.timerInterval);
-        }
+        this.stopTimer();
+        this.stopHints();
+        voicePrompts.stop();
         
         // Remove event listeners
-        if (this.gameElements.picture) {
-            this.gameElements.picture.forEach(object => {
-                object.removeEventListener('click', this.handleObjectClick);
-            });
+        if (this.gameElements.pictureContainer) {
+            const container = this.gameElements.pictureContainer;
+            container.removeEventListener('click', this.handleObjectClick);
+            container.removeEventListener('pointerdown', this.handleObjectPress);
+            ['pointerup', 'pointerleave', 'pointercancel'].forEach(type => container.removeEventListener(type, this.cancelLongPress));
+        }
+
+        if (this.gameElements.speakButton) {
+            this.gameElements.speakButton.removeEventListener('click', this.speakTarget);
         }
         
         if (this.gameElements.backButton) {
@@ -347,7 +766,8 @@ export class ObjectFindingGame extends Game {
 }
 
 // Export the game start function
-export const startGame = () => {
-    const game = new ObjectFindingGame();
+export const startGame = async (options = {}) => {
+    const game = new ObjectFindingGame(options);
+    await game.selectDifficulty();
     return game.startGame();
 };
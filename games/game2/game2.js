@@ -6,8 +6,10 @@
  * 
  * Game Mechanics:
  * - Drag and drop puzzle piece interaction
- * - Multiple image categories
- * - Dynamic puzzle generation
+ * - Any picture is cut into pieces at runtime
+ * - Grid size set by the difficulty level
+ * - Square or jigsaw-shaped pieces, optionally rotated
+ * - Sandbox mode where pieces go anywhere and are checked on a full board
  * - Piece placement validation
  * - Sound and visual feedback
  * 
@@ -19,7 +21,8 @@
  * - Patience and concentration
  * 
  * Key Features:
- * - Responsive drag and drop system
+ * - Drag and drop with mouse, pen and touch (Pointer Events)
+ * - Magnetic snapping to slots
  * - Multiple difficulty levels
  * - Randomized puzzle generation
  * - Error handling
@@ -27,6 +30,7 @@
  * 
  * @module PuzzleGame
  * @requires ../../components/Game/Game.js
+ * @requires ../../components/dragAndDrop/dragAndDrop.js
  * @requires ../../components/popUp/popUp.js
  * @requires ../../utils/helpers.js
  * @requires ../../utils/errorHandler.js
@@ -38,22 +42,134 @@
  */
 
 import { Game } from '../../components/Game/Game.js';
+import { DragAndDrop } from '../../components/dragAndDrop/dragAndDrop.js';
 import { PopUpStates } from '../../components/popUp/popUp.js';
-import { shuffleArray, getCurrentGameCssPath } from '../../utils/helpers.js';
+import { shuffleArray, getImagesOfGames } from '../../utils/helpers.js';
 import { handleError, GameError, ErrorTypes } from '../../utils/errorHandler.js';
 import soundManager from '../../utils/soundManager.js';
 
+// Games whose pictures are used for puzzles; any picture works, as it is cut at runtime
+const PICTURE_GAMES = ['game2', 'game1'];
+
+// Width of the assembled picture in pixels; the piece size follows from the grid
+const PUZZLE_WIDTH = 240;
+
+// Depth of the jigsaw tabs as a part of the piece size. Jigsaw pieces are
+// larger than their cells by this margin on every side, to make room for the tabs
+const TAB_SIZE = 0.2;
+
+// Cubic Bézier segments of a jigsaw tab as [along, out] points: `along` runs
+// from 0 to 1 along the edge and `out` from 0 to 1 tab depths away from the piece.
+// The shape is symmetric, so a tab fits the blank of the neighbouring piece,
+// which follows the same edge in the opposite direction
+const TAB_CURVE = [
+    [[0.40, 0], [0.42, 0.35], [0.36, 0.55]],
+    [[0.30, 0.9], [0.40, 1], [0.50, 1]],
+    [[0.60, 1], [0.70, 0.9], [0.64, 0.55]],
+    [[0.58, 0.35], [0.60, 0], [0.65, 0]]
+];
+
+// Twist in degrees after which a piece turns by a quarter
+const TWIST_THRESHOLD = 45;
+
+/**
+ * Builds the outline of a jigsaw piece for an SVG clip path in objectBoundingBox units.
+ * @param {Object} edges - Edge types ({ top, right, bottom, left }): 1 for a tab, -1 for a blank, 0 for a flat border
+ * @returns {string} SVG path data
+ */
+function getPiecePath({ top, right, bottom, left }) {
+    const corners = [[0, 0], [1, 0], [1, 1], [0, 1]];
+    // Cell coordinates (0 to 1) are moved inside the margin left for the tabs
+    const toBox = value => ((TAB_SIZE + value) / (1 + 2 * TAB_SIZE)).toFixed(4);
+    let path = `M ${toBox(0)} ${toBox(0)}`;
+
+    [top, right, bottom, left].forEach((tab, index) => {
+        const [x0, y0] = corners[index];
+        const [x1, y1] = corners[(index + 1) % 4];
+        // The outline goes clockwise, so this normal points out of the piece
+        const [normalX, normalY] = [y1 - y0, x0 - x1];
+        const point = ([along, out]) => {
+            const depth = out * tab * TAB_SIZE;
+            return `${toBox(x0 + along * (x1 - x0) + depth * normalX)} ${toBox(y0 + along * (y1 - y0) + depth * normalY)}`;
+        };
+
+        if (tab !== 0) {
+            path += ` L ${point([0.35, 0])}`;
+            TAB_CURVE.forEach(segment => {
+                path += ` C ${segment.map(point).join(', ')}`;
+            });
+        }
+        path += ` L ${point([1, 0])}`;
+    });
+
+    return `${path} Z`;
+}
+
+/**
+ * Keeps a rotation between 0 and 359 degrees.
+ * @param {number} degrees - Rotation
+ * @returns {number} Normalized rotation
+ */
+function normalizeRotation(degrees) {
+    return ((degrees % 360) + 360) % 360;
+}
+
 export class PuzzleGame extends Game {
-    constructor() {
-        super();
-        this.activePiece = null;
-        this.offsetX = 0;
-        this.offsetY = 0;
-        this.startX = 0;
-        this.startY = 0;
-        this.selectedDirectory = '';
+    constructor(options = {}) {
+        super(options);
+        this.dragAndDrop = null;
+        this.pictureList = [];
+        this.picture = null;
+        this.columns = 3;
+        this.rows = 3;
         this.puzzleSize = 9;
-        this.imageDirectories = ['ball', 'bear', 'book', 'cup', 'lamp'];
+        this.pieceWidth = 0;
+        this.pieceHeight = 0;
+        this.edges = [];
+        this.mistakes = 0;
+    }
+
+    /**
+     * Puzzle grid and help for each difficulty level
+     * The help is a faint picture of each piece in its slot and pieces placed in advance
+     * @override
+     * @returns {Object<string, Object>} Settings keyed by difficulty level
+     */
+    getDifficultyLevels() {
+        return {
+            easy: { columns: 2, rows: 2, showGuide: true, prePlacedPieces: 1 },
+            medium: { columns: 3, rows: 3, showGuide: true, prePlacedPieces: 0 },
+            hard: { columns: 4, rows: 4, showGuide: false, prePlacedPieces: 0 }
+        };
+    }
+
+    /**
+     * Square pieces for the youngest, jigsaw-shaped ones for older kids,
+     * jigsaw pieces that have to be turned the right way up first, and a sandbox
+     * where square pieces can be put anywhere and swapped without interruptions
+     * @override
+     * @returns {Object<string, Object>} Modes keyed by mode ID
+     */
+    getGameModes() {
+        return {
+            classic: { label: '🟦 Квадратни парченца', settings: { jigsaw: false, rotation: false, sandbox: false } },
+            jigsaw: { label: '🧩 Истински пъзел', settings: { jigsaw: true, rotation: false, sandbox: false } },
+            rotation: { label: '🔄 Пъзел с въртене', settings: { jigsaw: true, rotation: true, sandbox: false } },
+            sandbox: { label: '🏖️ Свободно подреждане', settings: { jigsaw: false, rotation: false, sandbox: true } }
+        };
+    }
+
+    /**
+     * Ranges of the settings tuned in adaptive mode
+     * @override
+     * @returns {Object<string, Object>} Ranges keyed by setting name
+     */
+    getAdaptiveParameters() {
+        return {
+            columns: { min: 2, max: 5, step: 1, harder: 'higher' },
+            rows: { min: 2, max: 5, step: 1, harder: 'higher' },
+            prePlacedPieces: { min: 0, max: 2, step: 1, harder: 'lower' }
+        };
     }
 
     /**
@@ -71,6 +187,7 @@ export class PuzzleGame extends Game {
                 'Подреди пъзела, като преместиш парченцата на точните им места!',
                 PopUpStates.INITIAL_GAME
             );
+            this.startRound();
 
         } catch (error) {
             handleError(
@@ -90,12 +207,25 @@ export class PuzzleGame extends Game {
      */
     async loadGameAssets() {
         try {
-            // Select random image directory
-            this.selectedDirectory = this.imageDirectories[
-                Math.floor(Math.random() * this.imageDirectories.length)
-            ];
+            if (this.pictureList.length === 0) {
+                this.pictureList = await getImagesOfGames(PICTURE_GAMES);
+            }
+            if (this.pictureList.length === 0) {
+                throw new GameError(
+                    'No images found for the puzzle',
+                    ErrorTypes.RESOURCE,
+                    { gameNames: PICTURE_GAMES }
+                );
+            }
+
+            // Select a random picture and cut it by the current settings
+            this.picture = this.pictureList[Math.floor(Math.random() * this.pictureList.length)];
+            this.columns = this.settings.columns;
+            this.rows = this.settings.rows;
+            this.puzzleSize = this.columns * this.rows;
 
             await this.loadingScreen.updateMessage('Подготовка на пъзела...');
+            await this.preloadPicture(this.picture);
             await this.loadingScreen.updateProgress(1, 3);
         } catch (error) {
             throw new GameError(
@@ -106,6 +236,21 @@ export class PuzzleGame extends Game {
         }
     }
 
+    /**
+     * Loads a picture before it is cut, so the pieces do not appear one by one
+     * @private
+     * @param {Object} picture - Picture ({ name, img })
+     * @returns {Promise<void>}
+     */
+    preloadPicture(picture) {
+        return new Promise((resolve, reject) => {
+            const image = new Image();
+            image.onload = () => resolve();
+            image.onerror = () => reject(new Error(`Failed to load image: ${picture.name}`));
+            image.src = picture.img;
+        });
+    }
+
     /**
      * Sets up the game screen HTML
      * @private
@@ -122,6 +267,11 @@ export class PuzzleGame extends Game {
             </div>
         `;
         document.body.innerHTML = gameScreen;
+        this.addPauseButton();
+        this.setPieceSize();
+        if (this.settings.jigsaw) {
+            this.createPieceShapes();
+        }
 
         await this.loadingScreen.updateMessage('Подготовка на игралното поле...');
         await this.loadingScreen.updateProgress(2, 3);
@@ -134,6 +284,59 @@ export class PuzzleGame extends Game {
         await this.loadingScreen.hide();
     }
 
+    /**
+     * Sizes the grid and pieces so that the whole picture keeps its proportions
+     * @private
+     */
+    setPieceSize() {
+        const { width = 1, height = 1 } = this.picture;
+        this.pieceWidth = PUZZLE_WIDTH / this.columns;
+        this.pieceHeight = (PUZZLE_WIDTH * height / width) / this.rows;
+        const container = document.querySelector('.puzzle-container');
+
+        container.style.setProperty('--puzzle-columns', this.columns);
+        container.style.setProperty('--piece-width', `${this.pieceWidth.toFixed(1)}px`);
+        container.style.setProperty('--piece-height', `${this.pieceHeight.toFixed(1)}px`);
+        container.style.setProperty('--tab-size', TAB_SIZE);
+        container.classList.toggle('puzzle-container--jigsaw', Boolean(this.settings.jigsaw));
+        container.classList.toggle('puzzle-container--sandbox', Boolean(this.settings.sandbox));
+    }
+
+    /**
+     * Gives every inner edge a random tab on one side and a matching blank on the other,
+     * and adds an SVG clip path with the outline of each piece
+     * @private
+     */
+    createPieceShapes() {
+        const randomTab = () => (Math.random() < 0.5 ? 1 : -1);
+        // Edges between horizontal and vertical neighbours, as seen from the left and upper piece
+        const rightEdges = Array.from({ length: this.puzzleSize }, randomTab);
+        const bottomEdges = Array.from({ length: this.puzzleSize }, randomTab);
+
+        this.edges = Array.from({ length: this.puzzleSize }, (_, index) => {
+            const column = index % this.columns;
+            const row = Math.floor(index / this.columns);
+            return {
+                top: row > 0 ? -bottomEdges[index - this.columns] : 0,
+                right: column < this.columns - 1 ? rightEdges[index] : 0,
+                bottom: row < this.rows - 1 ? bottomEdges[index] : 0,
+                left: column > 0 ? -rightEdges[index - 1] : 0
+            };
+        });
+
+        const clipPaths = this.edges.map((edges, index) => `
+            <clipPath id="puzzle-piece-shape-${index + 1}" clipPathUnits="objectBoundingBox">
+                <path d="${getPiecePath(edges)}"></path>
+            </clipPath>
+        `).join('');
+
+        document.querySelector('.puzzle-container').insertAdjacentHTML('beforeend', `
+            <svg class="puzzle-shapes" width="0" height="0" aria-hidden="true" focusable="false">
+                <defs>${clipPaths}</defs>
+            </svg>
+        `);
+    }
+
     /**
      * Creates puzzle board slots
      * @private
@@ -146,6 +349,10 @@ export class PuzzleGame extends Game {
             const slot = document.createElement('div');
             slot.classList.add('puzzle-slot', 'empty-slot');
             slot.setAttribute('data-slot', i);
+            if (this.settings.showGuide) {
+                slot.classList.add('puzzle-slot--guide');
+                this.applyPieceImage(slot, i);
+            }
             puzzleBoard.appendChild(slot);
         });
     }
@@ -164,13 +371,98 @@ export class PuzzleGame extends Game {
             pieceElement.classList.add('puzzle-piece');
             pieceElement.setAttribute('data-piece', piece);
             
-            // Set the piece's image dynamically
-            pieceElement.style.backgroundImage = `url('games/game2/images/${this.selectedDirectory}/${piece}.png')`;
-            pieceElement.style.backgroundSize = 'cover';
-            pieceElement.style.backgroundPosition = 'center';
+            this.applyPieceImage(pieceElement, piece, this.settings.jigsaw ? TAB_SIZE : 0);
+            if (this.settings.jigsaw) {
+                pieceElement.style.clipPath = `url(#puzzle-piece-shape-${piece})`;
+            }
 
             puzzlePieces.appendChild(pieceElement);
         });
+
+        // Easier levels start with a few pieces already in place
+        const prePlacedPieces = this.settings.prePlacedPieces || 0;
+        shuffledPieces.slice(0, prePlacedPieces).forEach(piece => {
+            const slot = document.querySelector(`.puzzle-slot[data-slot="${piece}"]`);
+            slot.appendChild(document.querySelector(`.puzzle-piece[data-piece="${piece}"]`));
+            slot.classList.remove('empty-slot');
+        });
+
+        // In rotation mode the remaining pieces come turned by a quarter, a half or three quarters
+        if (this.settings.rotation) {
+            shuffledPieces.slice(prePlacedPieces).forEach(piece => {
+                const rotation = 90 * Math.floor(1 + Math.random() * 3);
+                this.setPieceRotation(document.querySelector(`.puzzle-piece[data-piece="${piece}"]`), rotation);
+            });
+        }
+    }
+
+    /**
+     * Turns a piece
+     * The angle is not normalized, so the turn from 270 to 360 degrees is animated clockwise too
+     * @private
+     * @param {HTMLElement} piece - Piece element
+     * @param {number} rotation - Clockwise rotation in degrees
+     */
+    setPieceRotation(piece, rotation) {
+        piece.dataset.rotation = rotation;
+        piece.style.rotate = `${rotation}deg`;
+    }
+
+    /**
+     * Returns whether a piece is the right way up
+     * @private
+     * @param {HTMLElement} piece - Piece element
+     * @returns {boolean}
+     */
+    isPieceUpright(piece) {
+        return normalizeRotation(Number(piece.dataset.rotation) || 0) === 0;
+    }
+
+    /**
+     * Turns a tapped piece by a quarter clockwise
+     * @private
+     * @param {HTMLElement} piece - Tapped piece
+     */
+    handlePieceTap(piece) {
+        this.setPieceRotation(piece, (Number(piece.dataset.rotation) || 0) + 90);
+    }
+
+    /**
+     * Turns a piece by a quarter once two fingers have twisted it far enough
+     * @private
+     * @param {HTMLElement} piece - Twisted piece
+     * @param {number} degrees - Clockwise twist since the last call
+     */
+    handlePieceTwist(piece, degrees) {
+        const twist = (Number(piece.dataset.twist) || 0) + degrees;
+        if (Math.abs(twist) < TWIST_THRESHOLD) {
+            piece.dataset.twist = twist;
+            return;
+        }
+
+        const quarter = Math.sign(twist) * 90;
+        piece.dataset.twist = twist - quarter;
+        this.setPieceRotation(piece, (Number(piece.dataset.rotation) || 0) + quarter);
+    }
+
+    /**
+     * Shows the part of the picture that belongs to a piece
+     * The whole picture is scaled to the size of the grid and shifted so that
+     * only the piece's cell is visible, which cuts it without extra image files
+     * @private
+     * @param {HTMLElement} element - Piece or slot element
+     * @param {number} piece - Piece number (1 to puzzleSize, row by row)
+     * @param {number} [margin=0] - Extra picture shown around the cell for the jigsaw tabs, as a part of the piece size
+     */
+    applyPieceImage(element, piece, margin = 0) {
+        const column = (piece - 1) % this.columns;
+        const row = Math.floor((piece - 1) / this.columns);
+        const left = (margin - column) * this.pieceWidth;
+        const top = (margin - row) * this.pieceHeight;
+
+        element.style.backgroundImage = `url('${this.picture.img}')`;
+        element.style.backgroundSize = `${(this.columns * this.pieceWidth).toFixed(1)}px ${(this.rows * this.pieceHeight).toFixed(1)}px`;
+        element.style.backgroundPosition = `${left.toFixed(1)}px ${top.toFixed(1)}px`;
     }
 
     /**
@@ -178,146 +470,167 @@ export class PuzzleGame extends Game {
      * @private
      */
     setupEventListeners() {
-        const puzzlePieces = document.querySelectorAll('.puzzle-piece');
         const backButton = document.getElementById('back');
 
-        // Use method references to avoid creating new function instances
-        this.boundHandleTouchStart = this.handleTouchStart.bind(this);
-        this.boundHandleTouchMove = this.handleTouchMove.bind(this);
-        this.boundHandleTouchEnd = this.handleTouchEnd.bind(this);
-
-        puzzlePieces.forEach(piece => {
-            piece.addEventListener('touchstart', this.boundHandleTouchStart, { passive: false });
-            piece.addEventListener('touchmove', this.boundHandleTouchMove, { passive: false });
-            piece.addEventListener('touchend', this.boundHandleTouchEnd);
+        // Pieces are dragged with the mouse, a pen or a finger
+        if (this.dragAndDrop) {
+            this.dragAndDrop.destroy();
+        }
+        this.dragAndDrop = this.settings.sandbox ? new DragAndDrop({
+            container: document.querySelector('.puzzle-container'),
+            // In the sandbox placed pieces can be moved again, swapped or put back in the tray
+            itemSelector: '.puzzle-piece',
+            targetSelector: '.puzzle-slot, .puzzle-pieces',
+            onDrop: this.handleSandboxDrop.bind(this),
+            onDragStart: piece => piece.classList.remove('puzzle-piece--misplaced')
+        }) : new DragAndDrop({
+            container: document.querySelector('.puzzle-container'),
+            // Only pieces still in the tray can be moved
+            itemSelector: '.puzzle-pieces .puzzle-piece',
+            targetSelector: '.empty-slot',
+            onDrop: this.handlePieceDrop.bind(this),
+            onTap: this.settings.rotation ? this.handlePieceTap.bind(this) : null,
+            onTwist: this.settings.rotation ? this.handlePieceTwist.bind(this) : null
         });
 
         backButton.addEventListener('click', this.handleBackToHome.bind(this));
     }
 
     /**
-     * Handles touch start event for puzzle pieces
+     * Handles a piece dropped on an empty slot
      * @private
-     * @param {TouchEvent} event - Touch start event
+     * @param {HTMLElement} piece - Dropped piece
+     * @param {HTMLElement} slot - Slot under the piece
+     * @returns {boolean} Whether the piece stays in the slot; wrong and turned pieces fly back to the tray
      */
-    handleTouchStart(event) {
-        event.preventDefault();
-        const touch = event.touches[0];
-        this.activePiece = event.target.closest('.puzzle-piece');
-        if (!this.activePiece) return;
-
-        const rect = this.activePiece.getBoundingClientRect();
-        this.offsetX = touch.clientX - rect.left;
-        this.offsetY = touch.clientY - rect.top;
-        this.startX = rect.left;
-        this.startY = rect.top;
-
-        // Use transform for better performance
-        this.activePiece.style.position = 'fixed';
-        this.activePiece.style.left = rect.left + 'px';
-        this.activePiece.style.top = rect.top + 'px';
-        this.activePiece.style.zIndex = '1000';
-        this.activePiece.style.opacity = '0.8';
-        this.activePiece.style.transition = 'none';
-        this.activePiece.style.pointerEvents = 'none';
+    handlePieceDrop(piece, slot) {
+        const pieceNumber = parseInt(piece.getAttribute('data-piece'));
+        const slotNumber = parseInt(slot.getAttribute('data-slot'));
+
+        if (!this.isPieceUpright(piece)) {
+            soundManager.play('commonSounds', 'error');
+            this.popUp.showPopup('Първо завърти парченцето правилно!', PopUpStates.MISTAKE_MADE);
+            return false;
+        }
+
+        if (pieceNumber !== slotNumber) {
+            this.mistakes++;
+            soundManager.play('commonSounds', 'error');
+            this.popUp.showPopup('Това парченце не е за там!', PopUpStates.MISTAKE_MADE);
+            return false;
+        }
+
+        slot.appendChild(piece);
+        slot.classList.remove('empty-slot');
+        soundManager.play('commonSounds', 'success');
+        this.checkPuzzleCompletion();
+        return true;
     }
 
     /**
-     * Handles touch move event for puzzle pieces
+     * Handles a piece dropped in sandbox mode, where every drop is accepted
+     * A piece dropped on an occupied slot swaps places with the piece in it
      * @private
-     * @param {TouchEvent} event - Touch move event
+     * @param {HTMLElement} piece - Dropped piece
+     * @param {HTMLElement} target - Slot or tray under the piece
+     * @returns {boolean} Always true
      */
-    handleTouchMove(event) {
-        event.preventDefault();
-        if (!this.activePiece) return;
-
-        const touch = event.touches[0];
-        const newX = touch.clientX - this.offsetX;
-        const newY = touch.clientY - this.offsetY;
-
-        // Use transform for smoother movement
-        this.activePiece.style.transform = `translate(${newX - this.startX}px, ${newY - this.startY}px)`;
-
-        // Highlight potential drop target
-        const dropTarget = document.elementFromPoint(
-            touch.clientX - window.scrollX,
-            touch.clientY - window.scrollY
-        );
-        
-        // Remove previous hover effects
-        document.querySelectorAll('.empty-slot.hover').forEach(slot => {
-            slot.classList.remove('hover');
-        });
+    handleSandboxDrop(piece, target) {
+        const source = piece.parentElement;
+        if (target === source) {
+            return true;
+        }
 
-        // Add hover effect to current target if it's a valid slot
-        if (dropTarget && dropTarget.classList.contains('empty-slot')) {
-            dropTarget.classList.add('hover');
+        const occupant = target.classList.contains('puzzle-slot') ? target.querySelector('.puzzle-piece') : null;
+        if (occupant) {
+            source.appendChild(occupant);
         }
+        target.appendChild(piece);
+
+        [source, target].forEach(element => {
+            if (element.classList.contains('puzzle-slot')) {
+                element.classList.toggle('empty-slot', !element.querySelector('.puzzle-piece'));
+            }
+        });
+
+        this.checkPuzzleCompletion();
+        return true;
     }
 
     /**
-     * Handles touch end event for puzzle pieces
+     * Marks the pieces that sit in the wrong slots and counts the newly marked ones as mistakes
+     * The mark is removed as soon as the piece is picked up again
      * @private
-     * @param {TouchEvent} event - Touch end event
+     * @returns {number} Number of misplaced pieces
      */
-    async handleTouchEnd(event) {
-        if (!this.activePiece) return;
-
-        const touch = event.changedTouches[0];
-        const dropTarget = document.elementFromPoint(
-            touch.clientX - window.scrollX,
-            touch.clientY - window.scrollY
-        );
-
-        // Reset piece styles
-        this.activePiece.style.position = '';
-        this.activePiece.style.left = '';
-        this.activePiece.style.top = '';
-        this.activePiece.style.zIndex = '';
-        this.activePiece.style.opacity = '';
-        this.activePiece.style.transform = '';
-        this.activePiece.style.transition = '';
-        this.activePiece.style.pointerEvents = '';
-        
-        // Remove hover effects
-        document.querySelectorAll('.empty-slot.hover').forEach(slot => {
-            slot.classList.remove('hover');
-        });
+    highlightMisplacedPieces() {
+        let misplaced = 0;
 
-        if (dropTarget && dropTarget.classList.contains('empty-slot')) {
-            const pieceNumber = parseInt(this.activePiece.getAttribute('data-piece'));
-            const slotNumber = parseInt(dropTarget.getAttribute('data-slot'));
-
-            if (pieceNumber === slotNumber) {
-                // Correct placement
-                dropTarget.appendChild(this.activePiece);
-                dropTarget.classList.remove('empty-slot');
-                soundManager.play('commonSounds', 'success');
-                this.checkPuzzleCompletion();
-            } else {
-                // Wrong placement
-                soundManager.play('commonSounds', 'error');
-                await this.popUp.showPopup('Това парченце не е за там!', PopUpStates.MISTAKE_MADE);
+        document.querySelectorAll('.puzzle-slot').forEach(slot => {
+            const piece = slot.querySelector('.puzzle-piece');
+            if (!piece) {
+                return;
             }
-        }
 
-        this.activePiece = null;
+            const wrong = piece.getAttribute('data-piece') !== slot.getAttribute('data-slot');
+            if (wrong) {
+                misplaced++;
+                if (!piece.classList.contains('puzzle-piece--misplaced')) {
+                    this.mistakes++;
+                }
+            }
+            piece.classList.toggle('puzzle-piece--misplaced', wrong);
+        });
+
+        return misplaced;
     }
 
     /**
      * Checks if the puzzle is completed
+     * In sandbox mode a full board is checked and the misplaced pieces are highlighted
      * @private
      */
     async checkPuzzleCompletion() {
         const emptySlots = document.querySelectorAll('.empty-slot');
-        if (emptySlots.length === 0) {
-            setTimeout(async () => {
-                soundManager.play('commonSounds', 'gameCompleted');
-                await this.popUp.showPopup('Браво! Успешно подреди пъзела!', PopUpStates.GAME_WON);
-                // Restart the game
-                await this.retryGame();
-            }, 500);
+        if (emptySlots.length > 0) {
+            return;
+        }
+
+        if (this.settings.sandbox && this.highlightMisplacedPieces() > 0) {
+            return;
+        }
+
+        // The solved puzzle cannot be taken apart while the completion popup opens
+        this.dragAndDrop.destroy();
+        this.dragAndDrop = null;
+
+        this.clock.setTimeout(async () => {
+            await this.completeRound({
+                score: this.puzzleSize,
+                mistakes: this.mistakes,
+                details: {
+                    image: this.picture.name.toLowerCase(),
+                    grid: `${this.columns}x${this.rows}`,
+                    pieces: this.puzzleSize,
+                    wrongPlacements: this.mistakes
+                }
+            }, 'Браво! Успешно подреди пъзела!');
+            // Restart the game
+            await this.retryGame();
+        }, 500);
+    }
+
+    /**
+     * Rates a solved puzzle by the number of wrong placements
+     * @override
+     * @param {Object} result - Round result
+     * @returns {number} Stars earned (1 to 3)
+     */
+    calculateStars(result) {
+        if (result.mistakes === 0) {
+            return 3;
         }
+        return result.mistakes <= 2 ? 2 : 1;
     }
 
     /**
@@ -326,9 +639,11 @@ export class PuzzleGame extends Game {
      */
     async retryGame() {
         // Reload game assets and reset game screen
+        this.mistakes = 0;
         await this.loadGameAssets();
         await this.setupGameScreen();
         await this.setupEventListeners();
+        this.startRound();
     }
 
     /**
@@ -336,13 +651,10 @@ export class PuzzleGame extends Game {
      * @override
      */
     async destroy() {
-        // Remove event listeners using method references
-        const puzzlePieces = document.querySelectorAll('.puzzle-piece');
-        puzzlePieces.forEach(piece => {
-            piece.removeEventListener('touchstart', this.boundHandleTouchStart);
-            piece.removeEventListener('touchmove', this.boundHandleTouchMove);
-            piece.removeEventListener('touchend', this.boundHandleTouchEnd);
-        });
+        if (this.dragAndDrop) {
+            this.dragAndDrop.destroy();
+            this.dragAndDrop = null;
+        }
 
         // Call parent destroy method
         await super.destroy();
@@ -350,7 +662,9 @@ export class PuzzleGame extends Game {
 }
 
 // Export the game start function
-export const startGame = () => {
-    const game = new PuzzleGame();
+export const startGame = async (options = {}) => {
+    const game = new PuzzleGame(options);
+    await game.selectDifficulty();
+    await game.selectMode();
     return game.startGame();
 };
\ No newline at end of file
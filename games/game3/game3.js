@@ -5,10 +5,12 @@
  * where children find pairs of identical cards.
  * 
  * Game Mechanics:
+ * - Deck built from a theme pack and a number of pairs
  * - Card grid generation
  * - Card flipping interaction
  * - Pair matching validation
  * - Move and time tracking
+ * - Two-player hot-seat mode with alternating turns
  * - Sound and visual feedback
  * 
  * Learning Objectives:
@@ -28,8 +30,10 @@
  * @module MemoryGame
  * @requires ../../components/Game/Game.js
  * @requires ../../components/popUp/popUp.js
+ * @requires ../../utils/helpers.js
  * @requires ../../utils/errorHandler.js
  * @requires ../../utils/soundManager.js
+ * @requires ../../utils/profileManager.js
  * 
  * @author Martin Lubenov
  * @version 1.0.0
@@ -37,24 +41,217 @@
  */
 
 import { Game } from '../../components/Game/Game.js';
+import { starsFromRatio } from '../../components/Game/rewards.js';
 import { PopUpStates } from '../../components/popUp/popUp.js';
+import { navigate } from '../../app.js';
 import { handleError, GameError, ErrorTypes } from '../../utils/errorHandler.js';
+import { shuffleArray, getImagesOfGames, escapeHTML } from '../../utils/helpers.js';
 import soundManager from '../../utils/soundManager.js';
-// import { getCurrentGameCssPath } from '../../utils/helpers.js';
+import profileManager, { AVATARS } from '../../utils/profileManager.js';
 
-const CARDS = [
-    '🐶', '🐱', '🐭', '🐹', '🐰', '🦊', '🐻', '🐼',
-    '🐶', '🐱', '🐭', '🐹', '🐰', '🦊', '🐻', '🐼'
-];
+// Choice value of a second player without a profile
+const GUEST_PLAYER = 'guest';
+
+/**
+ * Numbers of card pairs offered in the deck picker
+ */
+export const PAIR_COUNTS = [4, 6, 8, 12];
+
+/**
+ * Theme packs of cards, in the order they are offered.
+ * A pack lists its cards (emojis, or short texts marked with `text`) or takes the
+ * pictures of other games. The picker offers only the pair counts a pack has enough
+ * cards for, so the pictures pack (10 pictures of the Finders and Puzzle games)
+ * plays with up to 8 pairs.
+ */
+export const DECK_PACKS = {
+    animals: {
+        label: '🐶 Животни',
+        cards: ['🐶', '🐱', '🐭', '🐹', '🐰', '🦊', '🐻', '🐼', '🐨', '🐯', '🦁', '🐸']
+    },
+    fruits: {
+        label: '🍎 Плодове',
+        cards: ['🍎', '🍐', '🍊', '🍋', '🍌', '🍉', '🍇', '🍓', '🍒', '🍑', '🥝', '🍍']
+    },
+    letters: {
+        label: '🔤 Букви',
+        cards: ['А', 'Б', 'В', 'Г', 'Д', 'Е', 'Ж', 'З', 'И', 'К', 'Л', 'М'],
+        text: true
+    },
+    numbers: {
+        label: '🔢 Числа',
+        cards: ['1', '2', '3', '4', '5', '6', '7', '8', '9', '10', '11', '12'],
+        text: true
+    },
+    pictures: {
+        label: '🖼️ Картинки',
+        gameImages: ['game1', 'game2']
+    }
+};
+
+/**
+ * Picks the number of grid columns for a number of cards, so that the rows are
+ * full and the grid is as square as possible while staying wider than tall.
+ * @param {number} cardCount - Number of cards
+ * @returns {number} Number of columns
+ */
+function getGridColumns(cardCount) {
+    for (let columns = Math.ceil(Math.sqrt(cardCount)); columns < cardCount; columns++) {
+        if (cardCount % columns === 0) {
+            return columns;
+        }
+    }
+    return cardCount;
+}
 
 export class MemoryGame extends Game {
-    constructor() {
-        super();
+    constructor(options = {}) {
+        super(options);
         this.cards = [];
+        this.pack = null;
+        this.packCards = [];
+        this.deck = [];
         this.flippedCards = [];
         this.matchedPairs = 0;
         this.isLocked = false;
         this.moves = 0;
+        this.players = [];
+        this.currentPlayer = 0;
+    }
+
+    /**
+     * Number of card pairs for each difficulty level
+     * The deck picker preselects this number, but the player may choose another one
+     * @override
+     * @returns {Object<string, Object>} Settings keyed by difficulty level
+     */
+    getDifficultyLevels() {
+        return {
+            easy: { pairs: 4 },
+            medium: { pairs: 6 },
+            hard: { pairs: 8 }
+        };
+    }
+
+    /**
+     * Ranges of the settings tuned in adaptive mode
+     * @override
+     * @returns {Object<string, Object>} Ranges keyed by setting name
+     */
+    getAdaptiveParameters() {
+        return {
+            pairs: { allowed: PAIR_COUNTS, harder: 'higher' }
+        };
+    }
+
+    /**
+     * One player, or two players taking turns on the same device
+     * @override
+     * @returns {Object<string, Object>} Modes keyed by mode ID
+     */
+    getGameModes() {
+        return {
+            solo: { label: '🙋 Един играч', settings: { players: 1 } },
+            duo: { label: '👫 Двама играчи', settings: { players: 2 } }
+        };
+    }
+
+    /**
+     * Sets up the players of the two-player mode
+     * The first player is the selected profile; the second one is picked from the
+     * other profiles or plays as a guest
+     * @returns {Promise<void>}
+     */
+    async selectPlayers() {
+        this.players = [];
+        if (this.settings.players !== 2) {
+            return;
+        }
+
+        const profile = profileManager.getCurrentProfile();
+        const others = profileManager.getProfiles().filter(other => !profile || other.id !== profile.id);
+        let second = GUEST_PLAYER;
+        if (others.length > 0) {
+            second = await this.popUp.showChoicePopup(
+                'Кой ще играе с теб?',
+                [
+                    ...others.map(other => ({ text: `${other.avatar} ${other.name}`, value: other.id })),
+                    { text: '🙂 Гост', value: GUEST_PLAYER }
+                ],
+                others[0].id
+            );
+        }
+        const secondProfile = others.find(other => other.id === second);
+
+        this.players = [
+            profile ? { name: profile.name, avatar: profile.avatar } : { name: 'Играч 1', avatar: AVATARS[0] },
+            secondProfile
+                ? { name: secondProfile.name, avatar: secondProfile.avatar }
+                : { name: 'Гост', avatar: AVATARS.find(avatar => !profile || avatar !== profile.avatar) }
+        ].map(player => ({ ...player, score: 0 }));
+        this.currentPlayer = 0;
+    }
+
+    /**
+     * Picks the theme pack and the number of pairs before the game starts
+     * Valid `pack` and `pairs` route parameters skip the pickers. In adaptive mode
+     * the number of pairs is not asked, as the adaptive engine chooses it
+     * @returns {Promise<void>}
+     */
+    async selectDeck() {
+        const progress = await this.loadProgress();
+        const packs = Object.keys(DECK_PACKS);
+        let { pack } = this.params;
+        let pairs = Number(this.params.pairs);
+
+        if (!packs.includes(pack)) {
+            pack = await this.popUp.showChoicePopup(
+                'С какви карти да играем?',
+                packs.map(value => ({ text: DECK_PACKS[value].label, value })),
+                packs.includes(progress.pack) ? progress.pack : packs[0]
+            );
+        }
+        this.pack = pack;
+        this.packCards = await this.getPackCards(pack);
+
+        const pairCounts = PAIR_COUNTS.filter(count => count <= this.packCards.length);
+        if (this.adaptiveDifficulty) {
+            // The largest offered count up to the engine's choice that the pack has cards for
+            pairs = pairCounts.filter(count => count <= this.settings.pairs).pop() || pairCounts[0];
+        } else if (!pairCounts.includes(pairs)) {
+            // Preselect the count of the difficulty level, or the closest one the pack has cards for
+            const suggested = pairCounts.filter(count => count <= this.settings.pairs).pop() || pairCounts[0];
+            pairs = pairCounts.length === 1 ? pairCounts[0] : await this.popUp.showChoicePopup(
+                'Колко двойки карти?',
+                pairCounts.map(count => ({ text: `${count} двойки`, value: count })),
+                suggested
+            );
+        }
+        this.settings.pairs = pairs;
+
+        // Keep the choice in the URL so a reload starts with the same deck
+        const params = this.adaptiveDifficulty ? { ...this.params, pack } : { ...this.params, pack, pairs };
+        if (params.pack !== this.params.pack || String(params.pairs) !== String(this.params.pairs)) {
+            navigate(this.gameId, params, { replace: true, silent: true });
+        }
+        this.params = params;
+        await this.saveProgress({ pack });
+    }
+
+    /**
+     * Returns the cards of a theme pack
+     * @private
+     * @param {string} pack - Pack ID
+     * @returns {Promise<Array<{id: string, label: string, image: (string|undefined)}>>} Cards
+     */
+    async getPackCards(pack) {
+        const { cards = [], gameImages } = DECK_PACKS[pack];
+        if (gameImages) {
+            // Pictures of different games can share a name, so the file tells the pairs apart
+            const images = await getImagesOfGames(gameImages);
+            return images.map(image => ({ id: image.img, label: image.label, image: image.img }));
+        }
+        return cards.map(card => ({ id: card, label: card }));
     }
 
     /**
@@ -81,9 +278,12 @@ export class MemoryGame extends Game {
 
             // Show initial popup
             await this.popUp.showPopup(
-                'Добре дошли в играта "Намери двойките"! Намерете всички съвпадащи двойки карти.',
+                this.players.length > 0
+                    ? 'Добре дошли в играта "Намери двойките"! Редувайте се - който намери двойка, играе още веднъж.'
+                    : 'Добре дошли в играта "Намери двойките"! Намерете всички съвпадащи двойки карти.',
                 PopUpStates.INITIAL_GAME
             );
+            this.startRound();
 
         } catch (error) {
             handleError(
@@ -103,7 +303,16 @@ export class MemoryGame extends Game {
      */
     async loadGameAssets() {
         try {
-            // const cssPath = getCurrentGameCssPath();
+            if (this.packCards.length < this.settings.pairs) {
+                throw new GameError(
+                    'Not enough cards in the pack',
+                    ErrorTypes.RESOURCE,
+                    { pack: this.pack, pairs: this.settings.pairs }
+                );
+            }
+
+            const cards = shuffleArray([...this.packCards]).slice(0, this.settings.pairs);
+            this.deck = shuffleArray([...cards, ...cards]);
             await this.loadingScreen.updateMessage('Зареждане на играта...');
             await this.loadingScreen.updateProgress(1, 3);
         } catch (error) {
@@ -127,14 +336,26 @@ export class MemoryGame extends Game {
             <div class="game-screen">
                 <div class="game-header">
                     <h2>Намери двойките</h2>
-                    <div class="moves">Ходове: <span id="moves-count">0</span></div>
+                    ${this.players.length > 0 ? `
+                        <div class="players">
+                            ${this.players.map((player, index) => `
+                                <div class="player-score${index === this.currentPlayer ? ' player-score--active' : ''}" data-player="${index}">
+                                    <span class="player-score__avatar">${player.avatar}</span>
+                                    <span class="player-score__name">${escapeHTML(player.name)}</span>
+                                    <span class="player-score__count">${player.score}</span>
+                                </div>
+                            `).join('')}
+                        </div>
+                    ` : '<div class="moves">Ходове: <span id="moves-count">0</span></div>'}
                 </div>
-                <div class="game-board">
-                    ${CARDS.map((card, index) => `
-                        <div class="card" data-index="${index}" data-emoji="${card}">
+                <div class="game-board" style="--card-columns: ${getGridColumns(this.deck.length)}">
+                    ${this.deck.map((card, index) => `
+                        <div class="card" data-index="${index}" data-card="${card.id}">
                             <div class="card-inner">
                                 <div class="card-front"></div>
-                                <div class="card-back">${card}</div>
+                                ${card.image
+                                    ? `<div class="card-back card-back--image"><img src="${card.image}" alt="${card.label}"></div>`
+                                    : `<div class="card-back${DECK_PACKS[this.pack].text ? ' card-back--text' : ''}">${card.label}</div>`}
                             </div>
                         </div>
                     `).join('')}
@@ -143,13 +364,11 @@ export class MemoryGame extends Game {
             </div>
         `;
         document.body.innerHTML = gameScreen;
+        this.addPauseButton();
 
         await this.loadingScreen.updateProgress(2, 3);
         await this.loadingScreen.updateProgress(3, 3);
         await this.loadingScreen.hide();
-
-        // Shuffle cards after rendering
-        this.shuffleCards();
     }
 
     /**
@@ -170,20 +389,6 @@ export class MemoryGame extends Game {
         backButton.addEventListener('click', this.handleBackToHome.bind(this));
     }
 
-    /**
-     * Shuffles the cards
-     * @private
-     */
-    shuffleCards() {
-        const cardValues = CARDS.sort(() => Math.random() - 0.5);
-        const cardElements = document.querySelectorAll('.card-back');
-
-        cardElements.forEach((cardBack, index) => {
-            cardBack.textContent = cardValues[index];
-            cardBack.parentElement.parentElement.dataset.emoji = cardValues[index];
-        });
-    }
-
     /**
      * Handles card click events
      * @private
@@ -205,7 +410,7 @@ export class MemoryGame extends Game {
             this.isLocked = true;
 
             // Wait for the card flipping animation to complete before checking match
-            setTimeout(() => {
+            this.clock.setTimeout(() => {
                 this.checkMatch();
             }, 500);
         }
@@ -220,10 +425,15 @@ export class MemoryGame extends Game {
         this.updateMovesDisplay();
         const [card1, card2] = this.flippedCards;
 
-        if (card1.dataset.emoji === card2.dataset.emoji) {
+        if (card1.dataset.card === card2.dataset.card) {
             soundManager.play('commonSounds', 'success');
             // Match found
             this.matchedPairs++;
+            if (this.players.length > 0) {
+                // Standard memory rules: a player who finds a pair keeps the turn
+                this.players[this.currentPlayer].score++;
+                this.updatePlayersDisplay();
+            }
 
             // Add match class to both cards
             card1.classList.add('card-match');
@@ -238,7 +448,7 @@ export class MemoryGame extends Game {
             this.isLocked = false;
 
             // Check if game is complete
-            if (this.matchedPairs === CARDS.length / 2) {
+            if (this.matchedPairs === this.deck.length / 2) {
                 this.handleGameComplete();
             }
         } else {
@@ -249,12 +459,16 @@ export class MemoryGame extends Game {
             card2.classList.add('card-mismatch');
 
             // Flip cards back after a delay
-            setTimeout(() => {
+            this.clock.setTimeout(() => {
                 soundManager.play('game3Sounds', 'closeCard');
                 card1.classList.remove('flipped', 'card-mismatch');
                 card2.classList.remove('flipped', 'card-mismatch');
                 this.flippedCards = [];
                 this.isLocked = false;
+                if (this.players.length > 0) {
+                    this.currentPlayer = (this.currentPlayer + 1) % this.players.length;
+                    this.updatePlayersDisplay();
+                }
             }, 1000);
         }
     }
@@ -270,21 +484,86 @@ export class MemoryGame extends Game {
         }
     }
 
+    /**
+     * Updates the player scores and marks the player whose turn it is
+     * @private
+     */
+    updatePlayersDisplay() {
+        document.querySelectorAll('.player-score').forEach(element => {
+            const index = Number(element.dataset.player);
+            element.classList.toggle('player-score--active', index === this.currentPlayer);
+            element.querySelector('.player-score__count').textContent = this.players[index].score;
+        });
+    }
+
+    /**
+     * Builds the end message of a two-player game
+     * @private
+     * @returns {string} Message announcing the winner or a tie
+     */
+    getWinnerMessage() {
+        const [first, second] = this.players;
+        if (first.score === second.score) {
+            return `Равен резултат! И двамата намерихте по ${first.score} двойки!`;
+        }
+
+        const winner = first.score > second.score ? first : second;
+        return `${winner.avatar} ${winner.name} печели с ${winner.score} двойки!`;
+    }
+
     /**
      * Handles game completion
      * @private
      */
     async handleGameComplete() {
-        soundManager.play('commonSounds', 'gameCompleted');
-        await this.popUp.showPopup(
-            `Поздравления! Завършихте играта с ${this.moves} хода!`,
-            PopUpStates.GAME_WON
-        ).then(() => {
+        if (this.players.length > 0) {
+            // Moves are shared between the players, so only the scores are stored
+            await this.completeRound({
+                score: this.players[0].score,
+                mistakes: 0,
+                details: {
+                    moves: this.moves,
+                    pairs: this.matchedPairs,
+                    pack: this.pack,
+                    players: this.players.length,
+                    scores: this.players.map(player => player.score)
+                }
+            }, this.getWinnerMessage());
+            this.handleBackToHome();
+            return;
+        }
+
+        await this.completeRound({
+            score: this.matchedPairs,
+            mistakes: this.moves - this.matchedPairs,
+            details: {
+                moves: this.moves,
+                pairs: this.matchedPairs,
+                pack: this.pack,
+                movesPerPair: Math.round((this.moves / this.matchedPairs) * 100) / 100
+            }
+        }, `Поздравления! Завършихте играта с ${this.moves} хода!`).then(() => {
             // Return to home screen after popup
             this.handleBackToHome();
         });
     }
 
+    /**
+     * Rates a finished game by the moves compared to the minimum (one move per pair)
+     * In a two-player game the first player (the selected profile) gets 3 stars for
+     * a win, 2 for a tie and 1 for a loss
+     * @override
+     * @param {Object} result - Round result
+     * @returns {number} Stars earned (1 to 3)
+     */
+    calculateStars(result) {
+        const { moves, pairs, scores } = result.details;
+        if (scores) {
+            return Math.sign(scores[0] - scores[1]) + 2;
+        }
+        return starsFromRatio(pairs / moves, [0.67, 0.4]);
+    }
+
     /**
      * Cleans up game resources before destruction
      * @override
@@ -301,7 +580,11 @@ export class MemoryGame extends Game {
 }
 
 // Export the game start function
-export const startGame = () => {
-    const game = new MemoryGame();
+export const startGame = async (options = {}) => {
+    const game = new MemoryGame(options);
+    await game.selectDifficulty();
+    await game.selectMode();
+    await game.selectDeck();
+    await game.selectPlayers();
     return game.startGame();
 };
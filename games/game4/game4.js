@@ -9,6 +9,10 @@
  * - Progressive difficulty
  * - Player input validation
  * - Sound and visual feedback
+ * - A musical note for every color, from a selectable scale
+ * - Audio-only mode where the sequence is played without lights
+ * - Strict, forgiving, speed-up and reverse modes
+ * - Replay button that shows the current sequence again
  * - Level progression
  * 
  * Learning Objectives:
@@ -31,6 +35,7 @@
  * @requires ../../components/popUp/popUp.js
  * @requires ../../utils/errorHandler.js
  * @requires ../../utils/soundManager.js
+ * @requires ../../utils/toneSynth.js
  * 
  * @author Martin Lubenov
  * @version 1.0.0
@@ -39,18 +44,83 @@
 
 import { Game } from '../../components/Game/Game.js';
 import { PopUpStates } from '../../components/popUp/popUp.js';
+import { starsFromRatio } from '../../components/Game/rewards.js';
 // import { shuffleArray, getCurrentGameCssPath } from '../../utils/helpers.js';
 import { handleError, GameError, ErrorTypes } from '../../utils/errorHandler.js';
 import soundManager from '../../utils/soundManager.js';
+import toneSynth, { getScaleFrequencies } from '../../utils/toneSynth.js';
+
+/**
+ * Scales offered for the color notes, with their button labels
+ */
+const SCALE_LABELS = {
+    pentatonic: '🎵 Пентатонична гама',
+    major: '🎼 Мажорна гама'
+};
+
+// Length of the note played when the player presses a button, in ms
+const PRESS_NOTE_DURATION = 300;
+
+// In speed-up mode the light timing shrinks by this factor with every level, down to the minimum (ms)
+const SPEED_UP_FACTOR = 0.9;
+const MIN_SPEED_UP_DURATION = 120;
 
 export class LightSequenceGame extends Game {
-    constructor() {
-        super();
+    constructor(options = {}) {
+        super(options);
         this.colors = ['red', 'blue', 'green', 'yellow', 'orange', 'purple'];
         this.buttons = [];
         this.sequence = [];
         this.playerSequence = [];
         this.level = 0;
+        this.bestLevel = 0;
+        this.scale = 'pentatonic';
+        this.audioOnly = false;
+        this.frequencies = [];
+        this.isPlaying = false;
+        this.mistakes = 0;
+        this.replays = 0;
+    }
+
+    /**
+     * Number of color buttons and light timing (in ms) for each difficulty level
+     * @override
+     * @returns {Object<string, Object>} Settings keyed by difficulty level
+     */
+    getDifficultyLevels() {
+        return {
+            easy: { colorCount: 4, flashDuration: 500, pauseDuration: 400 },
+            medium: { colorCount: 6, flashDuration: 300, pauseDuration: 300 },
+            hard: { colorCount: 6, flashDuration: 200, pauseDuration: 200 }
+        };
+    }
+
+    /**
+     * Ways of playing: a mistake ends the run (strict) or shows the same sequence
+     * again as many times as needed (forgiving), the lights get faster with every level (speed-up), or the
+     * sequence has to be repeated from the last light to the first (reverse)
+     * @override
+     * @returns {Object<string, Object>} Modes keyed by mode ID
+     */
+    getGameModes() {
+        return {
+            strict: { label: '🎯 Строго', settings: { forgiving: false, speedUp: false, reverse: false } },
+            forgiving: { label: '🤗 С втори шанс', settings: { forgiving: true, speedUp: false, reverse: false } },
+            speedUp: { label: '⚡ Все по-бързо', settings: { forgiving: false, speedUp: true, reverse: false } },
+            reverse: { label: '🔁 Наобратно', settings: { forgiving: false, speedUp: false, reverse: true } }
+        };
+    }
+
+    /**
+     * Ranges of the settings tuned in adaptive mode (light timing in ms)
+     * @override
+     * @returns {Object<string, Object>} Ranges keyed by setting name
+     */
+    getAdaptiveParameters() {
+        return {
+            flashDuration: { min: 200, max: 600, step: 50, harder: 'lower' },
+            pauseDuration: { min: 200, max: 500, step: 50, harder: 'lower' }
+        };
     }
 
     /**
@@ -58,7 +128,14 @@ export class LightSequenceGame extends Game {
      */
     async startGame() {
         try {
+            this.colors = this.colors.slice(0, this.settings.colorCount);
             await this.initialize('Последователност на светлини');
+            const { bestLevel = 0, scale, audioOnly = false } = await this.loadProgress();
+            this.bestLevel = bestLevel;
+            this.scale = SCALE_LABELS[scale] ? scale : this.scale;
+            // The sequence can only be played without lights when the notes can be synthesized
+            this.audioOnly = audioOnly && toneSynth.isSupported();
+            this.frequencies = getScaleFrequencies(this.scale, this.colors.length);
             await this.loadGameAssets();
             await this.setupGameScreen();
             await this.setupEventListeners();
@@ -83,7 +160,9 @@ export class LightSequenceGame extends Game {
 
             // Show initial popup and start game
             await this.popUp.showPopup(
-                'Научи се да повтаряш светлинната последователност!',
+                this.settings.reverse
+                    ? 'Повтори светлините наобратно - от последната към първата!'
+                    : 'Научи се да повтаряш светлинната последователност!',
                 PopUpStates.INITIAL_GAME
             ).then(() => {
                 // Show game screen when popup closes
@@ -92,7 +171,8 @@ export class LightSequenceGame extends Game {
                 }
 
                 // Add a small delay before starting the first sequence
-                setTimeout(() => {
+                this.startRound();
+                this.clock.setTimeout(() => {
                     this.playSequence();
                 }, 500);
             });
@@ -134,8 +214,9 @@ export class LightSequenceGame extends Game {
         const gameScreen = `
             <div class="game-screen">
                 <div id="level-counter" class="level-counter">Ниво: 0</div>
+                <div id="best-level" class="best-level">Рекорд: ${this.bestLevel}</div>
                 <h1>Последователност на светлини</h1>
-                <div class="buttons-container">
+                <div class="buttons-container${this.colors.length === 4 ? ' two-columns' : ''}">
                     ${this.colors
                 .map(
                     (color, index) =>
@@ -143,10 +224,19 @@ export class LightSequenceGame extends Game {
                 )
                 .join('')}
                 </div>
+                ${toneSynth.isSupported() ? `
+                    <div class="sound-options">
+                        <button class="sound-option" id="scale-button">${SCALE_LABELS[this.scale]}</button>
+                        <button class="sound-option${this.audioOnly ? ' sound-option--on' : ''}" id="audio-only-button"
+                            aria-pressed="${this.audioOnly}">👂 Само звук</button>
+                    </div>
+                ` : ''}
+                <button id="replay-button" class="replay-button" disabled>👀 Покажи пак</button>
                 <button id="back">Назад</button>
             </div>
         `;
         document.body.innerHTML = gameScreen;
+        this.addPauseButton();
 
         await this.loadingScreen.updateMessage('Подготовка на игралното поле...');
         await this.loadingScreen.updateProgress(2, 3);
@@ -177,10 +267,77 @@ export class LightSequenceGame extends Game {
             });
         });
 
+        const scaleButton = document.getElementById('scale-button');
+        if (scaleButton) {
+            scaleButton.addEventListener('click', () => this.switchScale());
+        }
+        const audioOnlyButton = document.getElementById('audio-only-button');
+        if (audioOnlyButton) {
+            audioOnlyButton.addEventListener('click', () => this.toggleAudioOnly());
+        }
+
+        document.getElementById('replay-button').addEventListener('click', () => this.replaySequence());
+
         const backButton = document.getElementById('back');
         backButton.addEventListener('click', this.handleBackToHome.bind(this));
     }
 
+    /**
+     * Shows the current sequence again; the player starts entering it from the beginning
+     * @private
+     */
+    replaySequence() {
+        if (this.isPlaying || this.sequence.length === 0) {
+            return;
+        }
+        this.replays++;
+        this.playSequence({ extend: false });
+    }
+
+    /**
+     * Switches the color notes to the next scale
+     * @private
+     */
+    async switchScale() {
+        const scales = Object.keys(SCALE_LABELS);
+        this.scale = scales[(scales.indexOf(this.scale) + 1) % scales.length];
+        this.frequencies = getScaleFrequencies(this.scale, this.colors.length);
+
+        document.getElementById('scale-button').textContent = SCALE_LABELS[this.scale];
+        // Let the player hear the new scale
+        this.frequencies.forEach((frequency, index) => {
+            this.clock.setTimeout(() => toneSynth.play(frequency, 150), index * 150);
+        });
+
+        await this.saveProgress({ scale: this.scale });
+    }
+
+    /**
+     * Turns the lights of the sequence off or on
+     * @private
+     */
+    async toggleAudioOnly() {
+        this.audioOnly = !this.audioOnly;
+
+        const button = document.getElementById('audio-only-button');
+        button.classList.toggle('sound-option--on', this.audioOnly);
+        button.setAttribute('aria-pressed', this.audioOnly);
+
+        await this.saveProgress({ audioOnly: this.audioOnly });
+    }
+
+    /**
+     * Plays the note of a color, or the common button sound without Web Audio
+     * @private
+     * @param {number} index - Index of the color button
+     * @param {number} duration - Note length in ms
+     */
+    playColorNote(index, duration) {
+        if (!toneSynth.play(this.frequencies[index], duration)) {
+            soundManager.play('game4Sounds', 'circlePop');
+        }
+    }
+
     /**
      * Updates the level display
      * @private
@@ -203,24 +360,37 @@ export class LightSequenceGame extends Game {
         // Remove active class from all buttons first
         this.buttons.forEach(btn => btn.classList.remove('active'));
 
-        soundManager.play('game4Sounds', 'circlePop');
+        this.playColorNote(index, PRESS_NOTE_DURATION);
         // Add active class to clicked button
         clickedButton.classList.add('active');
 
         // Remove active class after a short delay
-        setTimeout(() => {
+        this.clock.setTimeout(() => {
             clickedButton.classList.remove('active');
         }, 50);
 
         this.playerSequence.push(index);
 
         // Compare player sequence with the game sequence
-        if (this.playerSequence[this.playerSequence.length - 1] !== this.sequence[this.playerSequence.length - 1]) {
+        if (index !== this.getExpectedIndex(this.playerSequence.length - 1)) {
             soundManager.play('commonSounds', 'error');
-            await this.popUp.showPopup('Грешка! Опитайте отново от началото.', PopUpStates.GAME_LOST);
+            this.mistakes++;
+            this.setButtonsEnabled(false);
+
+            // The forgiving mode shows the same sequence again after every mistake, so the run goes on
+            // until the player leaves; the mistakes are still counted in the result
+            if (this.settings.forgiving) {
+                await this.popUp.showPopup('Опитай пак! Гледай внимателно.', PopUpStates.MISTAKE_MADE);
+                this.clock.setTimeout(() => {
+                    this.playSequence({ extend: false });
+                }, 500);
+                return;
+            }
+
+            await this.finishRun();
             this.resetGame();
             // Add a small delay before starting the next sequence
-            setTimeout(() => {
+            this.clock.setTimeout(() => {
                 this.playSequence();
             }, 1000);
             return;
@@ -230,45 +400,171 @@ export class LightSequenceGame extends Game {
         if (this.playerSequence.length === this.sequence.length) {
             soundManager.play('commonSounds', 'success');
             this.level++;
+            this.setButtonsEnabled(false);
             this.updateLevelDisplay();
             await this.popUp.showPopup(`Поздравления! Преминахте ниво ${this.level}.`, PopUpStates.INITIAL_GAME);
 
             // Add a small delay before starting the next sequence
-            setTimeout(() => {
+            this.clock.setTimeout(() => {
                 this.playSequence();
             }, 500);
         }
     }
 
+    /**
+     * Ends the current run after a mistake, rating it with stars if a level was passed
+     * @private
+     */
+    async finishRun() {
+        const level = this.level;
+        if (level === 0) {
+            await this.popUp.showPopup('Грешка! Опитайте отново от началото.', PopUpStates.GAME_LOST);
+            return;
+        }
+
+        // Prevents destroy() from recording the run again while the popup is open
+        this.level = 0;
+        await this.updateBestLevel(level);
+        await this.completeRound(
+            { score: level, level, mistakes: this.mistakes, completed: false, details: { replays: this.replays } },
+            `Грешка! Стигна до ниво ${level}. Опитайте отново от началото.`
+        );
+    }
+
+    /**
+     * Rates a run by the level reached
+     * @override
+     * @param {Object} result - Round result
+     * @returns {number} Stars earned (1 to 3)
+     */
+    calculateStars(result) {
+        return starsFromRatio(result.level / 8, [1, 0.6]);
+    }
+
+    /**
+     * Records the level reached in an unfinished run (e.g. when leaving the game)
+     * @private
+     * @returns {Promise<void>}
+     */
+    async recordLevelReached() {
+        const level = this.level;
+        if (level === 0) {
+            return;
+        }
+
+        // Prevents the run from being recorded twice
+        this.level = 0;
+        await this.updateBestLevel(level);
+        await this.recordResult({
+            score: level,
+            level,
+            mistakes: this.mistakes,
+            completed: false,
+            details: { replays: this.replays }
+        });
+    }
+
+    /**
+     * Updates the stored best level if the given level beats it
+     * @private
+     * @param {number} level - Level reached
+     * @returns {Promise<void>}
+     */
+    async updateBestLevel(level) {
+        if (level > this.bestLevel) {
+            this.bestLevel = level;
+
+            const bestLevelElement = document.getElementById('best-level');
+            if (bestLevelElement) {
+                bestLevelElement.textContent = `Рекорд: ${this.bestLevel}`;
+            }
+
+            await this.saveProgress({ bestLevel: this.bestLevel });
+        }
+    }
+
     /**
      * Plays the current sequence of lights
      * @private
+     * @param {Object} [options={}] - Playback options
+     * @param {boolean} [options.extend=true] - Whether to add a new light first; false shows the same sequence again
      */
-    async playSequence() {
+    async playSequence({ extend = true } = {}) {
         // Clear previous sequence input
         this.playerSequence = [];
 
         // Add a new random button to the sequence
-        this.sequence.push(Math.floor(Math.random() * this.buttons.length));
+        if (extend) {
+            this.sequence.push(Math.floor(Math.random() * this.buttons.length));
+        }
 
         // Disable buttons during sequence playback
-        this.buttons.forEach(btn => (btn.disabled = true));
+        this.isPlaying = true;
+        this.setButtonsEnabled(false);
+        // The notes are part of the sequence, so the music makes room for them
+        soundManager.duck('sequence');
+
+        const flashDuration = this.getLightDuration(this.settings.flashDuration);
+        const pauseDuration = this.getLightDuration(this.settings.pauseDuration);
 
         // Play the entire sequence with a clear pause between buttons
         for (const index of this.sequence) {
             const button = this.buttons[index];
-            soundManager.play('game4Sounds', 'circlePop');
-            // Activate button
-            button.classList.add('active');
-            await new Promise(resolve => setTimeout(resolve, 300)); // Light up time
+            this.playColorNote(index, flashDuration);
+            // Activate button, unless the sequence is only heard
+            if (!this.audioOnly) {
+                button.classList.add('active');
+            }
+            await this.clock.delay(flashDuration); // Light up time
 
             // Deactivate button
             button.classList.remove('active');
-            await new Promise(resolve => setTimeout(resolve, 300)); // Pause between buttons
+            await this.clock.delay(pauseDuration); // Pause between buttons
         }
 
         // Re-enable buttons for player input
-        this.buttons.forEach(btn => (btn.disabled = false));
+        soundManager.unduck('sequence');
+        this.isPlaying = false;
+        this.setButtonsEnabled(true);
+    }
+
+    /**
+     * Returns the light timing for the current level
+     * In speed-up mode the timing shrinks with every level passed
+     * @private
+     * @param {number} duration - Timing of the difficulty level in ms
+     * @returns {number} Timing in ms
+     */
+    getLightDuration(duration) {
+        if (!this.settings.speedUp) {
+            return duration;
+        }
+        return Math.max(MIN_SPEED_UP_DURATION, Math.round(duration * Math.pow(SPEED_UP_FACTOR, this.level)));
+    }
+
+    /**
+     * Returns the button the player has to press next
+     * @private
+     * @param {number} position - Position in the player's input
+     * @returns {number} Index of the expected button
+     */
+    getExpectedIndex(position) {
+        return this.settings.reverse
+            ? this.sequence[this.sequence.length - 1 - position]
+            : this.sequence[position];
+    }
+
+    /**
+     * Enables or disables the color buttons and the replay button
+     * @private
+     * @param {boolean} enabled - Whether the player may press them
+     */
+    setButtonsEnabled(enabled) {
+        this.buttons.forEach(btn => (btn.disabled = !enabled));
+        const replayButton = document.getElementById('replay-button');
+        if (replayButton) {
+            replayButton.disabled = !enabled;
+        }
     }
 
     /**
@@ -276,9 +572,12 @@ export class LightSequenceGame extends Game {
      * @private
      */
     resetGame() {
+        this.startRound();
         this.sequence = [];
         this.playerSequence = [];
         this.level = 0;
+        this.mistakes = 0;
+        this.replays = 0;
         this.updateLevelDisplay();
     }
 
@@ -287,6 +586,10 @@ export class LightSequenceGame extends Game {
      * @override
      */
     async destroy() {
+        // Keep the level reached when the player leaves in the middle of a run
+        await this.recordLevelReached();
+        soundManager.unduck('sequence');
+
         // Remove event listeners
         this.buttons.forEach((button, index) => {
             button.removeEventListener('click', () => this.handleButtonClick(index));
@@ -298,7 +601,9 @@ export class LightSequenceGame extends Game {
 }
 
 // Export the game start function
-export const startGame = () => {
-    const game = new LightSequenceGame();
+export const startGame = async (options = {}) => {
+    const game = new LightSequenceGame(options);
+    await game.selectDifficulty();
+    await game.selectMode();
     return game.startGame();
 };
\ No newline at end of file
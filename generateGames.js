@@ -1,5 +1,6 @@
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 
 // Папката с игрите
 const gamesDir = path.join(__dirname, 'games');
@@ -7,12 +8,326 @@ const gamesDir = path.join(__dirname, 'games');
 // Път до изходната папка
 const srcDir = path.join(__dirname, 'gameModules');
 
+// Името на манифеста във всяка папка на игра
+const MANIFEST_FILE = 'manifest.json';
+
+// Позволените нива на трудност
+const DIFFICULTY_LEVELS = ['easy', 'medium', 'hard'];
+
+// Файловете и папките на приложението, които service worker-ът кешира за офлайн работа
+const SHELL_FILES = ['index.html', 'app.js', 'style.css', 'logo.png', 'home.png', 'sw.js'];
+const SHELL_DIRS = ['components', 'utils', 'sounds', 'vendor'];
+
+// Разширения на файловете по вид ресурс
+const IMAGE_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.gif', '.webp'];
+const SOUND_EXTENSIONS = ['.mp3', '.ogg', '.wav', '.m4a'];
+
 // Проверка и създаване на папката `src`, ако не съществува
 if (!fs.existsSync(srcDir)) {
     fs.mkdirSync(srcDir, { recursive: true }); // Създава папката, ако я няма
     console.log(`Папката ${srcDir} беше създадена.`);
 }
 
+// Проверка дали стойността е непразен низ
+function isNonEmptyString(value) {
+    return typeof value === 'string' && value.trim().length > 0;
+}
+
+// Проверка дали стойността е непразен масив от непразни низове
+function isStringList(value) {
+    return Array.isArray(value) && value.length > 0 && value.every(isNonEmptyString);
+}
+
+// Валидиране на манифеста на една игра. Връща списък с грешки.
+function validateManifest(game, manifest) {
+    const gameDir = path.join(gamesDir, game);
+    const errors = [];
+
+    if (manifest === null || typeof manifest !== 'object' || Array.isArray(manifest)) {
+        return ['манифестът трябва да бъде JSON обект'];
+    }
+
+    ['title', 'icon', 'description'].forEach(field => {
+        if (!isNonEmptyString(manifest[field])) {
+            errors.push(`полето "${field}" трябва да бъде непразен низ`);
+        }
+    });
+
+    const { ageRange } = manifest;
+    if (!ageRange || !Number.isInteger(ageRange.min) || !Number.isInteger(ageRange.max)) {
+        errors.push('полето "ageRange" трябва да има цели числа "min" и "max"');
+    } else if (ageRange.min < 0 || ageRange.min > ageRange.max) {
+        errors.push('полето "ageRange" трябва да има 0 <= min <= max');
+    }
+
+    if (!isStringList(manifest.skills)) {
+        errors.push('полето "skills" трябва да бъде непразен списък от низове');
+    }
+
+    if (!isStringList(manifest.difficulties)) {
+        errors.push('полето "difficulties" трябва да бъде непразен списък от низове');
+    } else {
+        manifest.difficulties
+            .filter(level => !DIFFICULTY_LEVELS.includes(level))
+            .forEach(level => errors.push(`непознато ниво на трудност "${level}" (позволени: ${DIFFICULTY_LEVELS.join(', ')})`));
+    }
+
+    // Показателите за родителското табло не са задължителни
+    if (manifest.metrics !== undefined) {
+        if (!Array.isArray(manifest.metrics)) {
+            errors.push('полето "metrics" трябва да бъде списък');
+        } else {
+            manifest.metrics.forEach((metric, index) => {
+                if (!metric || !isNonEmptyString(metric.key) || !isNonEmptyString(metric.label)) {
+                    errors.push(`показател ${index + 1} трябва да има непразни "key" и "label"`);
+                } else if (metric.better !== undefined && !['higher', 'lower'].includes(metric.better)) {
+                    errors.push(`показател "${metric.key}" има невалидно "better" (позволени: higher, lower)`);
+                }
+            });
+        }
+    }
+
+    // Музиката на играта не е задължителна
+    if (manifest.music !== undefined) {
+        if (!isNonEmptyString(manifest.music) || !SOUND_EXTENSIONS.includes(path.extname(manifest.music).toLowerCase())) {
+            errors.push(`полето "music" трябва да бъде път до звуков файл (${SOUND_EXTENSIONS.join(', ')})`);
+        } else if (!fs.existsSync(path.join(gameDir, manifest.music))) {
+            errors.push(`липсва музика "${manifest.music}"`);
+        }
+    }
+
+    if (!Array.isArray(manifest.assets) || !manifest.assets.every(isNonEmptyString)) {
+        errors.push('полето "assets" трябва да бъде списък от пътища');
+    } else {
+        manifest.assets
+            .filter(asset => !fs.existsSync(path.join(gameDir, asset)))
+            .forEach(asset => errors.push(`липсва ресурс "${asset}"`));
+    }
+
+    return errors;
+}
+
+// Преобразуване на път във формат за браузъра (с прави наклонени черти)
+function toUrlPath(filePath) {
+    return path.relative(__dirname, filePath).split(path.sep).join('/');
+}
+
+// Рекурсивно обхождане на файл или папка. Връща списък с пътищата до файловете.
+function listFiles(assetPath) {
+    if (!fs.statSync(assetPath).isDirectory()) {
+        return [assetPath];
+    }
+
+    return fs.readdirSync(assetPath)
+        .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))
+        .flatMap(file => listFiles(path.join(assetPath, file)));
+}
+
+// Прочитане на размерите на PNG, GIF, WebP или JPEG изображение от заглавната му част.
+// Форматът се разпознава по съдържанието, а не по разширението на файла.
+function readImageSize(filePath) {
+    const buffer = fs.readFileSync(filePath);
+
+    // PNG: ширината и височината са в IHDR блока
+    if (buffer.toString('ascii', 1, 4) === 'PNG') {
+        return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+    }
+
+    // GIF: ширината и височината са веднага след подписа
+    if (buffer.toString('ascii', 0, 3) === 'GIF') {
+        return { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+    }
+
+    // WebP: размерите зависят от вида на VP8 блока
+    if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+        const chunk = buffer.toString('ascii', 12, 16);
+        if (chunk === 'VP8X') {
+            return { width: 1 + buffer.readUIntLE(24, 3), height: 1 + buffer.readUIntLE(27, 3) };
+        }
+        if (chunk === 'VP8 ') {
+            return { width: buffer.readUInt16LE(26) & 0x3FFF, height: buffer.readUInt16LE(28) & 0x3FFF };
+        }
+        if (chunk === 'VP8L') {
+            const bits = buffer.readUInt32LE(21);
+            return { width: 1 + (bits & 0x3FFF), height: 1 + ((bits >> 14) & 0x3FFF) };
+        }
+    }
+
+    // JPEG: търсим SOF маркера, който съдържа размерите
+    if (buffer[0] === 0xFF && buffer[1] === 0xD8) {
+        let offset = 2;
+        while (offset < buffer.length) {
+            const marker = buffer[offset + 1];
+            const length = buffer.readUInt16BE(offset + 2);
+            if (marker >= 0xC0 && marker <= 0xCF && ![0xC4, 0xC8, 0xCC].includes(marker)) {
+                return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+            }
+            offset += 2 + length;
+        }
+    }
+
+    return null;
+}
+
+// Прочитане на спрайт картата на звук от JSON файл със същото име, ако има такъв
+function readSpriteMap(soundPath) {
+    const spritePath = soundPath.replace(/\.[^.]+$/, '.json');
+    if (!fs.existsSync(spritePath)) {
+        return null;
+    }
+
+    const { sprite } = JSON.parse(fs.readFileSync(spritePath, 'utf8'));
+    return sprite || null;
+}
+
+// Прочитане на данните на изображение от JSON файл със същото име, ако има такъв:
+// име на български ("label") и записи на гласа ("voice": { "name", "prompt" }).
+// Пътищата до записите са спрямо JSON файла.
+function readImageData(imagePath) {
+    const dataPath = imagePath.replace(/\.[^.]+$/, '.json');
+    if (!fs.existsSync(dataPath)) {
+        return { data: {}, errors: [] };
+    }
+
+    const { label, voice } = JSON.parse(fs.readFileSync(dataPath, 'utf8'));
+    const data = {};
+    const errors = [];
+
+    // "voice": null е същото като липсващо поле
+    const clips = voice === undefined || voice === null ? {} : voice;
+    if (typeof clips !== 'object' || Array.isArray(clips)) {
+        errors.push(`полето "voice" в "${toUrlPath(dataPath)}" трябва да бъде обект`);
+        return { data, errors };
+    }
+
+    if (label !== undefined) {
+        if (isNonEmptyString(label)) {
+            data.label = label;
+        } else {
+            errors.push(`полето "label" в "${toUrlPath(dataPath)}" трябва да бъде непразен низ`);
+        }
+    }
+
+    Object.entries(clips).forEach(([kind, clip]) => {
+        if (!['name', 'prompt'].includes(kind)) {
+            errors.push(`непознат запис на гласа "${kind}" в "${toUrlPath(dataPath)}" (позволени: name, prompt)`);
+            return;
+        }
+
+        const clipPath = path.resolve(path.dirname(dataPath), clip);
+        if (!isNonEmptyString(clip) || !SOUND_EXTENSIONS.includes(path.extname(clipPath).toLowerCase()) || !fs.existsSync(clipPath)) {
+            errors.push(`липсва запис на гласа "${clip}" в "${toUrlPath(dataPath)}"`);
+            return;
+        }
+
+        data.voice = { ...data.voice, [kind]: toUrlPath(clipPath) };
+    });
+
+    return { data, errors };
+}
+
+// Създаване на манифест с ресурсите на една игра: изображения, звуци и спрайт карти
+function buildAssetManifest(game, assets) {
+    const gameDir = path.join(gamesDir, game);
+    const manifest = { images: [], sounds: [], files: [] };
+    const errors = [];
+
+    assets.forEach(asset => {
+        const assetRoot = path.join(gameDir, asset);
+
+        listFiles(assetRoot).forEach(filePath => {
+            const extension = path.extname(filePath).toLowerCase();
+            const relativePath = path.relative(fs.statSync(assetRoot).isDirectory() ? assetRoot : path.dirname(assetRoot), filePath);
+            const name = relativePath.slice(0, -extension.length).split(path.sep).join('/');
+            const src = toUrlPath(filePath);
+
+            manifest.files.push(src);
+
+            if (IMAGE_EXTENSIONS.includes(extension)) {
+                // Повредено или непълно изображение спира само себе си, а не целия генератор
+                try {
+                    const size = readImageSize(filePath);
+                    if (!size) {
+                        errors.push(`неразпознат формат на изображение "${src}"`);
+                        return;
+                    }
+
+                    const { data, errors: dataErrors } = readImageData(filePath);
+                    errors.push(...dataErrors);
+                    manifest.images.push({ name, src, ...size, ...data });
+
+                    // Записите на гласа може да са извън папките с ресурси
+                    Object.values(data.voice || {})
+                        .filter(clip => !manifest.files.includes(clip))
+                        .forEach(clip => manifest.files.push(clip));
+                } catch (error) {
+                    errors.push(`невалидно изображение или данни за него "${src}": ${error.message}`);
+                }
+            } else if (SOUND_EXTENSIONS.includes(extension)) {
+                try {
+                    manifest.sounds.push({ name, src, sprite: readSpriteMap(filePath) });
+                } catch (error) {
+                    errors.push(`невалидна спрайт карта за "${src}": ${error.message}`);
+                }
+            }
+        });
+    });
+
+    return { manifest, errors };
+}
+
+// Зареждане и валидиране на една игра. Връща записа за игрите или списък с грешки.
+function loadGame(game) {
+    const gameDir = path.join(gamesDir, game);
+    const errors = [];
+
+    // Скриптът и стиловете са задължителни
+    [`${game}.js`, `${game}.css`].forEach(file => {
+        if (!fs.existsSync(path.join(gameDir, file))) {
+            errors.push(`липсва файл "${file}"`);
+        }
+    });
+
+    const manifestPath = path.join(gameDir, MANIFEST_FILE);
+    let manifest = null;
+    if (!fs.existsSync(manifestPath)) {
+        errors.push(`липсва файл "${MANIFEST_FILE}"`);
+    } else {
+        try {
+            manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+            errors.push(...validateManifest(game, manifest));
+        } catch (error) {
+            errors.push(`невалиден JSON в "${MANIFEST_FILE}": ${error.message}`);
+        }
+    }
+
+    if (errors.length > 0) {
+        return { errors };
+    }
+
+    const { manifest: assetManifest, errors: assetErrors } = buildAssetManifest(game, manifest.assets);
+    if (assetErrors.length > 0) {
+        return { errors: assetErrors };
+    }
+
+    return {
+        entry: {
+            script: `./games/${game}/${game}.js`,
+            style: `games/${game}/${game}.css`,
+            title: manifest.title,
+            icon: manifest.icon,
+            description: manifest.description,
+            ageRange: { min: manifest.ageRange.min, max: manifest.ageRange.max },
+            skills: manifest.skills,
+            difficulties: manifest.difficulties,
+            metrics: (manifest.metrics || []).map(({ key, label, unit = '', better = 'higher' }) => ({ key, label, unit, better })),
+            music: manifest.music ? toUrlPath(path.join(gameDir, manifest.music)) : null,
+            assets: assetManifest
+        },
+        errors
+    };
+}
+
 // Генериране на обект с наличните игри
 function generateGamesObject() {
     const games = fs.readdirSync(gamesDir).filter(file => {
@@ -21,22 +336,79 @@ function generateGamesObject() {
     });
 
     let cases = {};
+    let failed = false;
     games.forEach(game => {
-        cases[game] = {
-            script: `./games/${game}/${game}.js`,
-            style: `games/${game}/${game}.css`
-        };
+        const { entry, errors } = loadGame(game);
+        if (errors.length > 0) {
+            failed = true;
+            console.error(`Грешки в игра "${game}":`);
+            errors.forEach(error => console.error(`  - ${error}`));
+            return;
+        }
+        cases[game] = entry;
     });
 
+    if (failed) {
+        throw new Error('Генерирането на generatedGames.js беше прекратено заради невалидни игри.');
+    }
+
     return cases;
 }
 
+// Генериране на списъка с файлове за предварително кеширане и версия,
+// изчислена от съдържанието им. Версията се сменя при всяка промяна на игрите
+// или на ресурсите, което кара service worker-а да обнови кеша.
+function generatePrecacheManifest(gamesObject, gamesFileContent) {
+    // Няколко игри може да ползват едни и същи ресурси, а cache.addAll()
+    // отхвърля списъци с повтарящи се адреси
+    const files = [...new Set([
+        ...SHELL_FILES,
+        ...SHELL_DIRS.flatMap(dir => listFiles(path.join(__dirname, dir)).map(toUrlPath)),
+        'gameModules/generatedGames.js',
+        ...Object.values(gamesObject).flatMap(({ script, style, music, assets }) => [
+            script.replace(/^\.\//, ''),
+            style,
+            ...(music ? [music] : []),
+            ...assets.files
+        ])
+    ])];
+
+    const hash = crypto.createHash('sha256');
+    hash.update(gamesFileContent);
+    files
+        .filter(file => file !== 'gameModules/generatedGames.js')
+        .forEach(file => {
+            hash.update(file);
+            hash.update(fs.readFileSync(path.join(__dirname, file)));
+        });
+
+    return {
+        version: hash.digest('hex').slice(0, 12),
+        files: ['./', ...files]
+    };
+}
+
 // Записване на резултата в JavaScript файл
 const outputPath = path.join(srcDir, 'generatedGames.js'); // Изходният файл в папка src
-const gamesObject = generateGamesObject();
+let gamesObject;
+try {
+    gamesObject = generateGamesObject();
+} catch (error) {
+    console.error(error.message);
+    process.exit(1);
+}
 const fileContent = `
 export const games = ${JSON.stringify(gamesObject, null, 4)};
 `;
 
 fs.writeFileSync(outputPath, fileContent, 'utf8');
 console.log("Файлът generatedGames.js е обновен успешно!");
+
+// Записване на списъка за офлайн кеширане. Файлът е класически скрипт,
+// защото service worker-ът го зарежда с importScripts.
+const precachePath = path.join(srcDir, 'precacheManifest.js');
+const precacheManifest = generatePrecacheManifest(gamesObject, fileContent);
+fs.writeFileSync(precachePath, `
+self.precacheManifest = ${JSON.stringify(precacheManifest, null, 4)};
+`, 'utf8');
+console.log(`Файлът precacheManifest.js е обновен успешно (версия ${precacheManifest.version})!`);
@@ -0,0 +1,109 @@
+/**
+ * @fileOverview Service Worker for Offline Play
+ *
+ * Precaches the application shell, the generated game registry and every
+ * game's scripts, styles, images and sound sprites so the games work on
+ * tablets without Wi-Fi.
+ *
+ * The file list and cache version come from `gameModules/precacheManifest.js`,
+ * which is written by `generateGames.js`. A new version installs a new cache
+ * and removes the old ones.
+ *
+ * @author Martin Lubenov
+ * @version 1.0.0
+ * @license MIT
+ */
+
+/* global self, caches, importScripts */
+
+importScripts('gameModules/precacheManifest.js');
+
+const CACHE_PREFIX = 'kids-game-';
+const CACHE_NAME = `${CACHE_PREFIX}${self.precacheManifest.version}`;
+
+/**
+ * Sends the precache status to every open window.
+ * @param {boolean} ready - Whether all files are cached
+ */
+async function broadcastStatus(ready) {
+    const clients = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    clients.forEach(client => client.postMessage({
+        type: 'PRECACHE_STATUS',
+        ready,
+        version: self.precacheManifest.version
+    }));
+}
+
+/**
+ * Builds a partial response for a Range request from a cached full response.
+ * HTML5 audio (used by Howler) requests sound files in ranges and some
+ * browsers refuse to play a full 200 response to such a request.
+ * @param {Request} request - Request with a Range header
+ * @param {Response} response - Cached full response
+ * @returns {Promise<Response>} 206 Partial Content response
+ */
+async function createRangeResponse(request, response) {
+    const body = await response.arrayBuffer();
+    const [, startText, endText] = /bytes=(\d*)-(\d*)/.exec(request.headers.get('range')) || [];
+    const start = Number(startText) || 0;
+    const end = endText ? Math.min(Number(endText), body.byteLength - 1) : body.byteLength - 1;
+
+    return new Response(body.slice(start, end + 1), {
+        status: 206,
+        statusText: 'Partial Content',
+        headers: {
+            'Content-Type': response.headers.get('Content-Type') || 'application/octet-stream',
+            'Content-Range': `bytes ${start}-${end}/${body.byteLength}`,
+            'Content-Length': String(end - start + 1)
+        }
+    });
+}
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(self.precacheManifest.files))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        // Remove caches from previous versions
+        const cacheNames = await caches.keys();
+        await Promise.all(cacheNames
+            .filter(name => name.startsWith(CACHE_PREFIX) && name !== CACHE_NAME)
+            .map(name => caches.delete(name)));
+
+        await self.clients.claim();
+        await broadcastStatus(true);
+    })());
+});
+
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'GET_PRECACHE_STATUS') {
+        event.waitUntil(caches.has(CACHE_NAME).then(broadcastStatus));
+    }
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) {
+        return;
+    }
+
+    event.respondWith((async () => {
+        const cache = await caches.open(CACHE_NAME);
+
+        // Hash routes always load the same page, so navigations use the cached shell
+        const cached = request.mode === 'navigate'
+            ? await cache.match('./')
+            : await cache.match(request, { ignoreSearch: true });
+
+        if (cached) {
+            return request.headers.has('range') ? createRangeResponse(request, cached) : cached;
+        }
+
+        return fetch(request);
+    })());
+});
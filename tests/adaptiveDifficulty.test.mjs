@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AdaptiveDifficulty, scoreResult } from '../utils/adaptiveDifficulty.js';
+
+const WIN = { completed: true, stars: 3 };
+const LOSS = { completed: false, stars: 0 };
+
+test('scoreResult scores by stars, else by completion', () => {
+    assert.equal(scoreResult({ stars: 3 }), 1);
+    assert.equal(scoreResult({ stars: 0 }), 0);
+    assert.equal(scoreResult({ completed: true }), 1);
+    assert.equal(scoreResult({ completed: false }), 0);
+});
+
+test('starts in the middle of each range unless values are given', () => {
+    const engine = new AdaptiveDifficulty({
+        time: { min: 10, max: 30, step: 2, harder: 'lower' },
+        pairs: { allowed: [4, 6, 8, 12], harder: 'higher' }
+    });
+    assert.deepEqual(engine.getValues(), { time: 20, pairs: 8 });
+
+    const stored = new AdaptiveDifficulty({ time: { min: 10, max: 30, step: 2, harder: 'lower' } }, { values: { time: 40 } });
+    assert.deepEqual(stored.getValues(), { time: 30 });
+});
+
+test('waits for enough rounds before the first change', () => {
+    const engine = new AdaptiveDifficulty({ time: { min: 10, max: 30, step: 2, harder: 'lower' } }, { values: { time: 20 } });
+    assert.equal(engine.addResult(WIN), null);
+    assert.equal(engine.addResult(WIN), null);
+    assert.equal(engine.addResult(WIN), 'harder');
+    assert.deepEqual(engine.getValues(), { time: 18 });
+    assert.deepEqual(engine.getState().history, []);
+});
+
+test('makes the game easier after repeated failures', () => {
+    const engine = new AdaptiveDifficulty({ attempts: { min: 2, max: 5, step: 1, harder: 'lower' } }, { values: { attempts: 3 } });
+    [LOSS, LOSS].forEach(result => engine.addResult(result));
+    assert.equal(engine.addResult(LOSS), 'easier');
+    assert.deepEqual(engine.getValues(), { attempts: 4 });
+});
+
+test('keeps the values for mixed results', () => {
+    const engine = new AdaptiveDifficulty({ time: { min: 10, max: 30, step: 2, harder: 'lower' } }, { values: { time: 20 } });
+    [WIN, LOSS, { stars: 2 }, LOSS].forEach(result => assert.equal(engine.addResult(result), null));
+    assert.deepEqual(engine.getValues(), { time: 20 });
+});
+
+test('stops at the end of a range', () => {
+    const engine = new AdaptiveDifficulty({ time: { min: 10, max: 30, step: 2, harder: 'lower' } }, { values: { time: 10 } });
+    [WIN, WIN, WIN].forEach(result => engine.addResult(result));
+    assert.deepEqual(engine.getValues(), { time: 10 });
+    // Nothing changed, so the rounds still count
+    assert.equal(engine.getState().history.length, 3);
+});
+
+test('moves between allowed values only', () => {
+    const engine = new AdaptiveDifficulty({ pairs: { allowed: [4, 6, 8, 12], harder: 'higher' } }, { values: { pairs: 8 } });
+    [WIN, WIN, WIN].forEach(result => engine.addResult(result));
+    assert.deepEqual(engine.getValues(), { pairs: 12 });
+    [WIN, WIN, WIN].forEach(result => engine.addResult(result));
+    assert.deepEqual(engine.getValues(), { pairs: 12 });
+    // The wins played at the top value stay in the window until the game gets easier
+    [LOSS, LOSS, LOSS, LOSS].forEach(result => engine.addResult(result));
+    assert.deepEqual(engine.getValues(), { pairs: 8 });
+});
+
+test('snaps stored values to the closest allowed value', () => {
+    const engine = new AdaptiveDifficulty({ pairs: { allowed: [4, 6, 8, 12], harder: 'higher' } }, { values: { pairs: 10 } });
+    assert.ok([8, 12].includes(engine.getValues().pairs));
+    assert.deepEqual(new AdaptiveDifficulty({ pairs: { allowed: [4, 6, 8, 12], harder: 'higher' } }, { values: { pairs: 11 } }).getValues(), { pairs: 12 });
+});
+
+test('restores the stored history', () => {
+    const engine = new AdaptiveDifficulty({ time: { min: 10, max: 30, step: 2, harder: 'lower' } }, { values: { time: 20 }, history: [1, 1] });
+    assert.equal(engine.addResult(WIN), 'harder');
+});
+
+test('rejects invalid ranges', () => {
+    assert.throws(() => new AdaptiveDifficulty({ time: { min: 30, max: 10, step: 2, harder: 'lower' } }));
+    assert.throws(() => new AdaptiveDifficulty({ time: { min: 10, max: 30, step: 0, harder: 'lower' } }));
+    assert.throws(() => new AdaptiveDifficulty({ time: { min: 10, max: 30, step: 2, harder: 'up' } }));
+    assert.throws(() => new AdaptiveDifficulty({ pairs: { allowed: [], harder: 'higher' } }));
+});
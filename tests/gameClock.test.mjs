@@ -0,0 +1,112 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GameClock, FakeTimeSource } from '../utils/gameClock.js';
+
+/**
+ * Creates a clock driven by a fake time source.
+ * @param {Object} [options={}] - Clock options
+ * @returns {{time: FakeTimeSource, clock: GameClock}}
+ */
+function createClock(options = {}) {
+    const time = new FakeTimeSource();
+    return { time, clock: new GameClock({ timeSource: time, ...options }) };
+}
+
+test('fires timeouts once and intervals repeatedly', () => {
+    const { time, clock } = createClock();
+    const calls = [];
+    clock.setTimeout(() => calls.push('timeout'), 500);
+    clock.setInterval(() => calls.push('interval'), 300);
+
+    time.advance(1000);
+    assert.deepEqual(calls, ['interval', 'timeout', 'interval', 'interval']);
+});
+
+test('resumes paused timers with the time that was left', () => {
+    const { time, clock } = createClock();
+    let fired = false;
+    clock.setTimeout(() => { fired = true; }, 1000);
+
+    time.advance(600);
+    clock.pause();
+    time.advance(5000);
+    assert.equal(fired, false);
+
+    clock.resume();
+    time.advance(399);
+    assert.equal(fired, false);
+    time.advance(1);
+    assert.equal(fired, true);
+});
+
+test('adds timers while paused without starting them', () => {
+    const { time, clock } = createClock();
+    let fired = false;
+    clock.pause();
+    clock.setTimeout(() => { fired = true; }, 100);
+    time.advance(1000);
+    assert.equal(fired, false);
+
+    clock.resume();
+    time.advance(100);
+    assert.equal(fired, true);
+});
+
+test('runs timers faster with a higher speed, including running ones', () => {
+    const { time, clock } = createClock();
+    let fired = false;
+    clock.setTimeout(() => { fired = true; }, 1000);
+
+    time.advance(500);
+    clock.setSpeed(2);
+    time.advance(249);
+    assert.equal(fired, false);
+    time.advance(1);
+    assert.equal(fired, true);
+});
+
+test('ignores speeds that are not positive', () => {
+    const { clock } = createClock();
+    clock.setSpeed(0);
+    clock.setSpeed(-1);
+    assert.equal(clock.speed, 1);
+});
+
+test('counts down whole seconds', () => {
+    const { time, clock } = createClock();
+    const ticks = [];
+    let completed = false;
+    clock.countdown(3, { onTick: left => ticks.push(left), onComplete: () => { completed = true; } });
+
+    time.advance(5000);
+    assert.deepEqual(ticks, [2, 1, 0]);
+    assert.equal(completed, true);
+});
+
+test('cancels single timers and all of them', () => {
+    const { time, clock } = createClock();
+    const calls = [];
+    const id = clock.setTimeout(() => calls.push('cancelled'), 100);
+    clock.setTimeout(() => calls.push('kept'), 200);
+    clock.cancel(id);
+    time.advance(300);
+    assert.deepEqual(calls, ['kept']);
+
+    clock.setInterval(() => calls.push('interval'), 100);
+    clock.cancelAll();
+    time.advance(1000);
+    assert.deepEqual(calls, ['kept']);
+});
+
+test('measures running time without pauses or speed', () => {
+    const { time, clock } = createClock();
+    time.advance(1000);
+    clock.pause();
+    time.advance(5000);
+    assert.equal(clock.elapsed(), 1000);
+
+    clock.resume();
+    clock.setSpeed(2);
+    time.advance(500);
+    assert.equal(clock.elapsed(), 1500);
+});
@@ -0,0 +1,193 @@
+/**
+ * @fileOverview Adaptive Difficulty Engine for Kids Educational Game
+ *
+ * This module adjusts game parameters between rounds based on how well the
+ * player did in the last few rounds: quick wins make the next rounds harder,
+ * repeated failures make them easier.
+ *
+ * Key Features:
+ * - Per-game parameter ranges (min, max, step and direction), or lists of allowed values
+ * - Rolling window of recent round scores
+ * - Serializable state for storing in the player's progress
+ * - No DOM or storage access, so it runs anywhere (including Node.js)
+ *
+ * @module AdaptiveDifficulty
+ * @requires ./errorHandler.js
+ *
+ * @author Martin Lubenov
+ * @version 1.0.0
+ * @license MIT
+ */
+
+import { GameError, ErrorTypes } from './errorHandler.js';
+
+/**
+ * Scores a round result between 0 (failed) and 1 (best possible).
+ * Rated rounds are scored by their stars, e.g. a light sequence run that
+ * ended with a mistake but reached a high level; others by completion.
+ *
+ * @param {Object} result - Round result ({ completed, stars })
+ * @returns {number} Round score between 0 and 1
+ */
+export function scoreResult({ completed = true, stars = null } = {}) {
+    if (typeof stars === 'number') {
+        return Math.min(Math.max(stars / 3, 0), 1);
+    }
+    return completed ? 1 : 0;
+}
+
+/**
+ * Adjusts a set of numeric game parameters based on recent performance.
+ *
+ * @class AdaptiveDifficulty
+ *
+ * @property {Object<string, Object>} parameters - Parameter ranges keyed by setting name
+ * @property {Object<string, number>} values - Current parameter values
+ * @property {Array<number>} history - Scores of the rounds since the last adjustment, oldest first
+ *
+ * @example
+ * const engine = new AdaptiveDifficulty({
+ *     time: { min: 10, max: 30, step: 2, harder: 'lower' },
+ *     pairs: { allowed: [4, 6, 8, 12], harder: 'higher' }
+ * }, { values: { time: 20 } });
+ * engine.addResult({ completed: true, stars: 3 });
+ * engine.getValues(); // { time: 20 } until enough quick wins are collected
+ */
+export class AdaptiveDifficulty {
+    /**
+     * @constructor
+     * @param {Object<string, {min: number, max: number, step: number, allowed: Array<number>, harder: string}>} parameters -
+     *        Parameter ranges; `harder` is 'higher' or 'lower' and tells which direction makes the game harder.
+     *        Instead of min, max and step a range may list its `allowed` values, and a step moves to the next one
+     * @param {Object} [options={}] - Engine options
+     * @param {Object<string, number>} [options.values={}] - Starting values, defaults to the middle of each range
+     * @param {Array<number>} [options.history=[]] - Stored round scores
+     * @param {number} [options.windowSize=5] - Number of recent rounds taken into account
+     * @param {number} [options.minResults=3] - Rounds needed before the first adjustment
+     * @param {number} [options.harderAt=0.75] - Average score at or above which the game gets harder
+     * @param {number} [options.easierAt=0.35] - Average score at or below which the game gets easier
+     * @throws {GameError} If a parameter range is invalid
+     */
+    constructor(parameters, {
+        values = {},
+        history = [],
+        windowSize = 5,
+        minResults = 3,
+        harderAt = 0.75,
+        easierAt = 0.35
+    } = {}) {
+        this.parameters = {};
+        Object.entries(parameters).forEach(([name, range]) => {
+            const validRange = Array.isArray(range.allowed)
+                ? range.allowed.length > 0 && range.allowed.every(value => typeof value === 'number' && Number.isFinite(value))
+                : range.min <= range.max && range.step > 0;
+            if (!validRange || !['higher', 'lower'].includes(range.harder)) {
+                throw new GameError('Invalid adaptive parameter range', ErrorTypes.GAME_INITIALIZATION, { name, range });
+            }
+            this.parameters[name] = Array.isArray(range.allowed)
+                ? { ...range, allowed: [...new Set(range.allowed)].sort((a, b) => a - b) }
+                : range;
+        });
+
+        this.windowSize = windowSize;
+        this.minResults = minResults;
+        this.harderAt = harderAt;
+        this.easierAt = easierAt;
+        this.history = history.slice(-windowSize);
+        this.values = {};
+
+        Object.entries(this.parameters).forEach(([name, range]) => {
+            const middle = range.allowed
+                ? range.allowed[Math.round((range.allowed.length - 1) / 2)]
+                : range.min + Math.round((range.max - range.min) / 2 / range.step) * range.step;
+            const value = typeof values[name] === 'number' ? values[name] : middle;
+            this.values[name] = this.clamp(name, value);
+        });
+    }
+
+    /**
+     * Returns the current parameter values.
+     *
+     * @returns {Object<string, number>} Values keyed by setting name
+     */
+    getValues() {
+        return { ...this.values };
+    }
+
+    /**
+     * Adds a round result and adjusts the parameters when the recent rounds
+     * were clearly too easy or too hard.
+     *
+     * @param {Object} result - Round result ({ completed, stars })
+     * @returns {string|null} 'harder', 'easier' or null if nothing changed
+     */
+    addResult(result) {
+        this.history = [...this.history, scoreResult(result)].slice(-this.windowSize);
+
+        if (this.history.length < this.minResults) {
+            return null;
+        }
+
+        const average = this.history.reduce((sum, score) => sum + score, 0) / this.history.length;
+        let change = null;
+        if (average >= this.harderAt) {
+            change = 'harder';
+        } else if (average <= this.easierAt) {
+            change = 'easier';
+        }
+
+        if (change && this.adjust(change)) {
+            // Start a new window so the next change is based on rounds played with the new values
+            this.history = [];
+            return change;
+        }
+        return null;
+    }
+
+    /**
+     * Moves every parameter one step in the given direction.
+     * @private
+     * @param {string} change - 'harder' or 'easier'
+     * @returns {boolean} Whether any value changed
+     */
+    adjust(change) {
+        let changed = false;
+
+        Object.entries(this.parameters).forEach(([name, range]) => {
+            const direction = (range.harder === 'higher') === (change === 'harder') ? 1 : -1;
+            const value = range.allowed
+                ? range.allowed[Math.min(Math.max(range.allowed.indexOf(this.values[name]) + direction, 0), range.allowed.length - 1)]
+                : this.clamp(name, this.values[name] + direction * range.step);
+            if (value !== this.values[name]) {
+                this.values[name] = value;
+                changed = true;
+            }
+        });
+
+        return changed;
+    }
+
+    /**
+     * Keeps a value inside its parameter range, or snaps it to the closest allowed value.
+     * @private
+     * @param {string} name - Setting name
+     * @param {number} value - Value
+     * @returns {number} Clamped value
+     */
+    clamp(name, value) {
+        const { min, max, allowed } = this.parameters[name];
+        if (allowed) {
+            return allowed.reduce((closest, item) => (Math.abs(item - value) < Math.abs(closest - value) ? item : closest));
+        }
+        return Math.min(Math.max(value, min), max);
+    }
+
+    /**
+     * Returns the engine state for storing in the player's progress.
+     *
+     * @returns {{values: Object<string, number>, history: Array<number>}} Serializable state
+     */
+    getState() {
+        return { values: this.getValues(), history: [...this.history] };
+    }
+}
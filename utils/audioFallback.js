@@ -0,0 +1,329 @@
+/**
+ * @fileOverview Audio Fallback Module for Kids Educational Game
+ *
+ * This module provides stand-ins for Howler's `Howl` class, so the app keeps
+ * working when the Howler script fails to load (offline, blocked).
+ *
+ * Key Features:
+ * - HTMLAudioSound: plays sounds and sprites with plain HTML audio elements
+ * - SilentSound: accepts every call and plays nothing, for browsers without audio
+ * - Both implement the part of the Howl API used by the SoundManager
+ *   (play, stop, pause, playing, volume, fade, loop, on, once, unload)
+ *
+ * @module AudioFallback
+ * @requires none
+ *
+ * @author Martin Lubenov
+ * @version 1.0.0
+ * @license MIT
+ */
+
+// Milliseconds between volume steps of a fade
+const FADE_STEP = 50;
+
+// First playback ID; like Howler's IDs they are above 1, so volume(id) can tell an ID from a volume
+const FIRST_PLAYBACK_ID = 1000;
+
+/**
+ * Event handling shared by the fallback sounds, modelled on Howler's:
+ * listeners can be bound to a single playback ID.
+ *
+ * @class SoundEvents
+ */
+class SoundEvents {
+    constructor() {
+        this.listeners = [];
+    }
+
+    on(event, callback, id = null) {
+        this.listeners.push({ event, callback, id, once: false });
+        return this;
+    }
+
+    once(event, callback, id = null) {
+        this.listeners.push({ event, callback, id, once: true });
+        return this;
+    }
+
+    off(event, callback) {
+        this.listeners = this.listeners.filter(listener => listener.event !== event || (callback && listener.callback !== callback));
+        return this;
+    }
+
+    /**
+     * Calls the listeners of an event.
+     * @protected
+     * @param {string} event - Event name, e.g. 'end' or 'fade'
+     * @param {number|null} [id=null] - Playback ID the event belongs to
+     */
+    emit(event, id = null) {
+        const listeners = this.listeners.filter(listener =>
+            listener.event === event && (listener.id === null || listener.id === id));
+        this.listeners = this.listeners.filter(listener => !(listener.once && listeners.includes(listener)));
+        listeners.forEach(listener => listener.callback(id));
+    }
+}
+
+/**
+ * Plays a sound file, or sprites of it, with HTML audio elements.
+ * Every playback gets its own element; sprites stop (or loop) when the
+ * element's time passes the end of the sprite.
+ *
+ * @class HTMLAudioSound
+ *
+ * @example
+ * const sound = new HTMLAudioSound({ src: ['sounds/commonSounds.mp3'], sprite: { success: [103000, 3360] } });
+ * const id = sound.play('success');
+ * sound.fade(1, 0, 500, id);
+ */
+export class HTMLAudioSound extends SoundEvents {
+    /**
+     * @constructor
+     * @param {Object} options - Howl options
+     * @param {Array<string>} options.src - Sound file paths, the first one is used
+     * @param {Object<string, Array<number>>} [options.sprite={}] - Sprites as [start, duration] in ms
+     * @param {boolean} [options.loop=false] - Whether playbacks loop
+     * @param {number} [options.volume=1] - Starting volume of new playbacks
+     */
+    constructor({ src, sprite = {}, loop = false, volume = 1 }) {
+        super();
+        this.src = src[0];
+        this.sprite = sprite;
+        this.loopAll = loop;
+        this.defaultVolume = volume;
+        this.playbacks = new Map();
+        this.nextId = FIRST_PLAYBACK_ID;
+    }
+
+    /**
+     * Starts a new playback, or resumes a paused one.
+     * @param {string|number} [spriteOrId] - Sprite name or ID of a paused playback
+     * @returns {number} Playback ID
+     */
+    play(spriteOrId) {
+        if (typeof spriteOrId === 'number') {
+            const playback = this.playbacks.get(spriteOrId);
+            if (playback) {
+                this.start(spriteOrId, playback);
+            }
+            return spriteOrId;
+        }
+
+        const id = this.nextId++;
+        const [start, duration] = (spriteOrId && this.sprite[spriteOrId]) || [0, null];
+        const audio = new window.Audio(this.src);
+        const playback = {
+            audio,
+            start: start / 1000,
+            end: duration === null ? null : (start + duration) / 1000,
+            loop: this.loopAll,
+            fadeTimer: null
+        };
+
+        audio.volume = this.defaultVolume;
+        audio.addEventListener('timeupdate', () => {
+            if (playback.end !== null && audio.currentTime >= playback.end) {
+                this.finish(id, playback);
+            }
+        });
+        audio.addEventListener('ended', () => this.finish(id, playback));
+        audio.addEventListener('error', () => this.emit('loaderror', id));
+
+        this.playbacks.set(id, playback);
+        audio.currentTime = playback.start;
+        this.start(id, playback);
+        return id;
+    }
+
+    stop(id) {
+        this.getPlaybacks(id).forEach(([playbackId, playback]) => {
+            clearInterval(playback.fadeTimer);
+            playback.audio.pause();
+            this.playbacks.delete(playbackId);
+            this.emit('stop', playbackId);
+        });
+        return this;
+    }
+
+    pause(id) {
+        this.getPlaybacks(id).forEach(([playbackId, playback]) => {
+            playback.audio.pause();
+            this.emit('pause', playbackId);
+        });
+        return this;
+    }
+
+    playing(id) {
+        return this.getPlaybacks(id).some(([, playback]) => !playback.audio.paused);
+    }
+
+    /**
+     * Gets or sets the volume of a playback (or of all playbacks without an ID).
+     * Like Howler, volume(id) returns the volume of that playback.
+     * @param {number} [volume] - New volume between 0 and 1
+     * @param {number} [id] - Playback ID
+     * @returns {number|HTMLAudioSound} The volume when called without a new one
+     */
+    volume(volume, id) {
+        if (volume === undefined || (id === undefined && volume > 1)) {
+            const [entry] = this.getPlaybacks(volume === undefined ? id : volume);
+            return entry ? entry[1].audio.volume : this.defaultVolume;
+        }
+
+        if (id === undefined) {
+            this.defaultVolume = volume;
+        }
+        this.getPlaybacks(id).forEach(([, playback]) => {
+            playback.audio.volume = Math.min(Math.max(volume, 0), 1);
+        });
+        return this;
+    }
+
+    /**
+     * Changes the volume of a playback gradually and emits 'fade' at the end.
+     * @param {number} from - Starting volume
+     * @param {number} to - Final volume
+     * @param {number} duration - Duration in ms
+     * @param {number} [id] - Playback ID
+     * @returns {HTMLAudioSound}
+     */
+    fade(from, to, duration, id) {
+        this.getPlaybacks(id).forEach(([playbackId, playback]) => {
+            clearInterval(playback.fadeTimer);
+            const steps = Math.max(1, Math.round(duration / FADE_STEP));
+            let step = 0;
+
+            playback.audio.volume = from;
+            playback.fadeTimer = setInterval(() => {
+                step++;
+                playback.audio.volume = Math.min(Math.max(from + (to - from) * (step / steps), 0), 1);
+                if (step >= steps) {
+                    clearInterval(playback.fadeTimer);
+                    playback.fadeTimer = null;
+                    this.emit('fade', playbackId);
+                }
+            }, duration / steps);
+        });
+        return this;
+    }
+
+    loop(loop, id) {
+        this.getPlaybacks(id).forEach(([, playback]) => {
+            playback.loop = loop;
+        });
+        return this;
+    }
+
+    state() {
+        return 'loaded';
+    }
+
+    unload() {
+        this.stop();
+        this.listeners = [];
+    }
+
+    /**
+     * Starts an audio element, reporting a blocked or failed start as 'playerror'.
+     * @private
+     * @param {number} id - Playback ID
+     * @param {Object} playback - Playback
+     */
+    start(id, playback) {
+        const started = playback.audio.play();
+        if (started && typeof started.catch === 'function') {
+            started.catch(() => this.emit('playerror', id));
+        }
+        this.emit('play', id);
+    }
+
+    /**
+     * Loops or ends a playback that reached the end of its sprite or file.
+     * @private
+     * @param {number} id - Playback ID
+     * @param {Object} playback - Playback
+     */
+    finish(id, playback) {
+        if (!this.playbacks.has(id)) {
+            return;
+        }
+
+        if (playback.loop) {
+            playback.audio.currentTime = playback.start;
+            if (playback.audio.paused) {
+                this.start(id, playback);
+            }
+            return;
+        }
+
+        playback.audio.pause();
+        this.playbacks.delete(id);
+        this.emit('end', id);
+    }
+
+    /**
+     * Returns one playback, or all of them without an ID.
+     * @private
+     * @param {number} [id] - Playback ID
+     * @returns {Array<Array>} [id, playback] pairs
+     */
+    getPlaybacks(id) {
+        if (id === undefined || id === null) {
+            return Array.from(this.playbacks.entries());
+        }
+        return this.playbacks.has(id) ? [[id, this.playbacks.get(id)]] : [];
+    }
+}
+
+/**
+ * Accepts every Howl call and plays nothing.
+ * Playbacks report 'playerror', so callers that wait for a sound to end
+ * (e.g. voice prompts) move on instead of waiting forever.
+ *
+ * @class SilentSound
+ */
+export class SilentSound extends SoundEvents {
+    constructor() {
+        super();
+        this.nextId = FIRST_PLAYBACK_ID;
+    }
+
+    play(spriteOrId) {
+        const id = typeof spriteOrId === 'number' ? spriteOrId : this.nextId++;
+        setTimeout(() => this.emit('playerror', id), 0);
+        return id;
+    }
+
+    stop() {
+        return this;
+    }
+
+    pause() {
+        return this;
+    }
+
+    playing() {
+        return false;
+    }
+
+    volume(volume, id) {
+        return volume === undefined || (id === undefined && volume > 1) ? 0 : this;
+    }
+
+    fade(from, to, duration, id) {
+        setTimeout(() => this.emit('fade', id === undefined ? null : id), 0);
+        return this;
+    }
+
+    loop() {
+        return this;
+    }
+
+    state() {
+        return 'loaded';
+    }
+
+    unload() {
+        this.listeners = [];
+    }
+}
@@ -7,8 +7,9 @@
  * Key Features:
  * - Array manipulation (shuffling)
  * - Random number generation
+ * - HTML escaping
  * - CSS resource management
- * - Dynamic image loading
+ * - Asset manifest lookups
  * - Error-safe utility functions
  * 
  * Design Principles:
@@ -19,6 +20,7 @@
  * @module Helpers
  * @requires ./errorHandler.js
  * @requires ../app.js
+ * @requires ../gameModules/generatedGames.js
  * 
  * @author Martin Lubenov
  * @version 1.0.0
@@ -27,6 +29,7 @@
 
 import { handleError, GameError, ErrorTypes } from './errorHandler.js';
 import { untrackCSS } from '../app.js';
+import { games } from '../gameModules/generatedGames.js';
 
 /**
  * Shuffles the elements of an array in-place and returns the array.
@@ -53,6 +56,21 @@ export function getRandomNumber(min, max) {
     return Math.floor(Math.random() * (max - min + 1)) + min;
 }
 
+/**
+ * Escapes a string for safe insertion into HTML markup.
+ * 
+ * @param {string} text - The text to escape (e.g. a player name).
+ * @returns {string} The escaped text.
+ */
+export function escapeHTML(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
 /**
  * Unloads a CSS file from the document.
  * 
@@ -141,10 +159,32 @@ export function getCurrentGameCssPath() {
 }
 
 /**
- * Retrieves a list of game images for a given game name.
+ * Retrieves the asset manifest generated by `generateGames.js` for a given game.
+ * 
+ * @param {string} gameName - The name of the game, e.g. 'game1'.
+ * @returns {{images: Array<Object>, sounds: Array<Object>, files: Array<string>}} The game's asset manifest.
+ * @throws {GameError} If the game is unknown.
+ */
+export function getGameAssets(gameName) {
+    if (!games[gameName]) {
+        throw new GameError(
+            'Unknown game',
+            ErrorTypes.RESOURCE,
+            { gameName }
+        );
+    }
+
+    return games[gameName].assets;
+}
+
+/**
+ * Retrieves a list of game images for a given game name from the asset manifest.
  * 
  * @param {string} gameName - The name of the game.
- * @returns {Promise<Array>} A promise resolving to an array of game image objects.
+ * @returns {Promise<Array>} A promise resolving to an array of game image objects
+ *     ({ name, label, img, width, height, voice }). `label` is the spoken name
+ *     from the image data (defaults to the name) and `voice` holds the optional
+ *     recorded clips ({ name, prompt }).
  */
 export async function getGameImages(gameName) {
     try {
@@ -156,25 +196,17 @@ export async function getGameImages(gameName) {
             );
         }
 
-        const response = await fetch(`/games/${gameName}/images/`);
-        const text = await response.text();
-        
-        const tempDiv = document.createElement('div');
-        tempDiv.innerHTML = text;
-        
-        const imageFiles = Array.from(tempDiv.getElementsByTagName('a'))
-            .map(a => a.href)
-            .filter(href => href.match(/\.(png|jpg|jpeg|gif)$/i))
-            .map(href => {
-                const fileName = href.split('/').pop();
-                const name = fileName.split('.')[0];
-                return {
-                    name: name.charAt(0).toUpperCase() + name.slice(1),
-                    img: `games/${gameName}/images/${fileName}`
-                };
-            });
-            
-        return imageFiles;
+        return getGameAssets(gameName).images.map(({ name, src, width, height, label, voice = {} }) => {
+            const displayName = name.charAt(0).toUpperCase() + name.slice(1);
+            return {
+                name: displayName,
+                label: label || displayName,
+                img: src,
+                width,
+                height,
+                voice
+            };
+        });
     } catch (error) {
         handleError(
             error instanceof GameError ? error : new GameError(
@@ -187,3 +219,18 @@ export async function getGameImages(gameName) {
         return [];
     }
 }
+
+/**
+ * Retrieves the images of several games as one list.
+ * Images are told apart by their file, so different pictures that share
+ * a name (e.g. the ball of game1 and the ball of game2) are all kept.
+ * 
+ * @param {Array<string>} gameNames - The names of the games.
+ * @returns {Promise<Array>} A promise resolving to the game image objects of
+ *     all games, in the given order (see getGameImages).
+ */
+export async function getImagesOfGames(gameNames) {
+    const lists = await Promise.all(gameNames.map(gameName => getGameImages(gameName)));
+    const sources = new Set();
+    return lists.flat().filter(image => !sources.has(image.img) && sources.add(image.img));
+}
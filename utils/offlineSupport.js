@@ -0,0 +1,83 @@
+/**
+ * @fileOverview Offline Support Module for Kids Educational Game
+ *
+ * Registers the service worker (`sw.js`) that precaches all games and
+ * reports when the app is ready to be played without an internet connection.
+ *
+ * @module OfflineSupport
+ * @requires ./errorHandler.js
+ *
+ * @author Martin Lubenov
+ * @version 1.0.0
+ * @license MIT
+ */
+
+import { GameError, ErrorTypes } from './errorHandler.js';
+
+// Latest precache status reported by the service worker
+let offlineReady = false;
+const listeners = new Set();
+
+/**
+ * Handles status messages from the service worker.
+ * @param {MessageEvent} event - Message from the service worker
+ */
+function handleWorkerMessage(event) {
+    if (!event.data || event.data.type !== 'PRECACHE_STATUS') {
+        return;
+    }
+
+    offlineReady = Boolean(event.data.ready);
+    listeners.forEach(listener => listener(offlineReady));
+}
+
+/**
+ * Registers the service worker and asks it for the current precache status.
+ * Does nothing in browsers without service worker support.
+ *
+ * @returns {Promise<void>}
+ */
+export async function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) {
+        console.warn('Service workers are not supported, offline play is disabled');
+        return;
+    }
+
+    try {
+        navigator.serviceWorker.addEventListener('message', handleWorkerMessage);
+        // Check imported scripts on every update so a new precache manifest is picked up
+        await navigator.serviceWorker.register('sw.js', { updateViaCache: 'none' });
+
+        const registration = await navigator.serviceWorker.ready;
+        if (registration.active) {
+            registration.active.postMessage({ type: 'GET_PRECACHE_STATUS' });
+        }
+    } catch (error) {
+        // Offline play is an enhancement, so the app keeps working without it
+        console.warn(new GameError(
+            'Failed to register service worker',
+            ErrorTypes.NETWORK,
+            { originalError: error.message }
+        ));
+    }
+}
+
+/**
+ * Returns whether all game files are cached for offline play.
+ *
+ * @returns {boolean} True when the app can run offline
+ */
+export function isOfflineReady() {
+    return offlineReady;
+}
+
+/**
+ * Subscribes to precache status changes.
+ *
+ * @param {Function} listener - Called with `true` or `false` on every status update
+ * @returns {Function} Unsubscribe function
+ */
+export function onOfflineStatusChange(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
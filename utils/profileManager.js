@@ -0,0 +1,290 @@
+/**
+ * @fileOverview Player Profile Module for Kids Educational Game
+ *
+ * This module manages player profiles so that siblings sharing a tablet
+ * each keep their own progress.
+ *
+ * Key Features:
+ * - Profile creation, selection and removal
+ * - Per-profile, per-game result history
+ * - Per-profile, per-game progress and settings
+ * - Per-profile app settings (e.g. sound volumes)
+ * - Active profile kept for the browser session (survives reloads)
+ *
+ * Storage keys:
+ * - `profiles` - list of all profiles
+ * - `results:<profileId>:<gameId>` - result history of one game
+ * - `progress:<profileId>:<gameId>` - free-form progress of one game
+ * - `settings:<profileId>:<name>` - app settings of one kind, e.g. `sound`
+ * - `rewards:<profileId>:...` - stars and stickers (see components/Game/rewards.js)
+ *
+ * @module ProfileManager
+ * @requires ./storage.js
+ *
+ * @author Martin Lubenov
+ * @version 1.0.0
+ * @license MIT
+ */
+
+import storage from './storage.js';
+
+const PROFILES_KEY = 'profiles';
+const SESSION_PROFILE_KEY = 'kids-game:currentProfileId';
+
+// Prefixes of all storage keys that belong to a single profile
+const PROFILE_KEY_PREFIXES = ['results', 'progress', 'rewards', 'settings'];
+
+// Oldest results are dropped once a game history grows past this size
+const MAX_RESULTS_PER_GAME = 200;
+
+/**
+ * Avatars offered in the profile picker
+ */
+export const AVATARS = ['🦁', '🐯', '🐸', '🐵', '🦄', '🐧', '🐢', '🦋', '🐙', '🦖'];
+
+/**
+ * Manages player profiles and their stored game data.
+ *
+ * @class ProfileManager
+ *
+ * @property {Array<Object>} profiles - Loaded profiles ({ id, name, avatar, createdAt })
+ * @property {string|null} currentProfileId - ID of the selected profile
+ */
+class ProfileManager {
+    constructor() {
+        this.profiles = [];
+        this.currentProfileId = null;
+        // Last pending progress write of every progress key; writes of one key run one after another
+        this.progressWrites = new Map();
+    }
+
+    /**
+     * Loads profiles from storage and restores the session's profile.
+     *
+     * @returns {Promise<void>}
+     */
+    async load() {
+        this.profiles = await storage.get(PROFILES_KEY, []);
+
+        const sessionProfileId = this.readSessionProfileId();
+        this.currentProfileId = this.profiles.some(profile => profile.id === sessionProfileId)
+            ? sessionProfileId
+            : null;
+    }
+
+    /**
+     * Returns all profiles.
+     *
+     * @returns {Array<Object>} Profiles
+     */
+    getProfiles() {
+        return this.profiles;
+    }
+
+    /**
+     * Returns the selected profile.
+     *
+     * @returns {Object|null} The current profile or null if none is selected
+     */
+    getCurrentProfile() {
+        return this.profiles.find(profile => profile.id === this.currentProfileId) || null;
+    }
+
+    /**
+     * Creates a new profile.
+     *
+     * @param {string} name - Player name
+     * @param {string} avatar - Avatar emoji
+     * @returns {Promise<Object>} The created profile
+     */
+    async createProfile(name, avatar) {
+        const profile = {
+            id: `p${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+            name: name.trim(),
+            avatar,
+            createdAt: new Date().toISOString()
+        };
+
+        this.profiles = [...this.profiles, profile];
+        await storage.set(PROFILES_KEY, this.profiles);
+        return profile;
+    }
+
+    /**
+     * Deletes a profile together with all of its results, progress and rewards.
+     *
+     * @param {string} profileId - ID of the profile to delete
+     * @returns {Promise<void>}
+     */
+    async deleteProfile(profileId) {
+        this.profiles = this.profiles.filter(profile => profile.id !== profileId);
+        await storage.set(PROFILES_KEY, this.profiles);
+
+        const keys = await Promise.all(PROFILE_KEY_PREFIXES.map(prefix => storage.keys(`${prefix}:${profileId}:`)));
+        await Promise.all(keys.flat().map(key => storage.remove(key)));
+
+        if (this.currentProfileId === profileId) {
+            this.selectProfile(null);
+        }
+    }
+
+    /**
+     * Selects the active profile for this browser session.
+     *
+     * @param {string|null} profileId - ID of the profile, or null to clear the selection
+     */
+    selectProfile(profileId) {
+        this.currentProfileId = profileId;
+        try {
+            if (profileId) {
+                sessionStorage.setItem(SESSION_PROFILE_KEY, profileId);
+            } else {
+                sessionStorage.removeItem(SESSION_PROFILE_KEY);
+            }
+        } catch (error) {
+            console.warn('Session storage is not available:', error);
+        }
+    }
+
+    /**
+     * Appends a game result to the current profile's history.
+     *
+     * @param {string} gameId - ID of the game module, e.g. 'game3'
+     * @param {Object} result - Result data (score, timeMs, level, mistakes, details)
+     * @returns {Promise<Object|null>} The stored result or null if no profile is selected
+     */
+    async recordResult(gameId, result) {
+        const profile = this.getCurrentProfile();
+        if (!profile || !gameId) {
+            return null;
+        }
+
+        const entry = { ...result, gameId, date: new Date().toISOString() };
+        const key = `results:${profile.id}:${gameId}`;
+        const results = await storage.get(key, []);
+        await storage.set(key, [...results, entry].slice(-MAX_RESULTS_PER_GAME));
+        return entry;
+    }
+
+    /**
+     * Returns the result history of one game.
+     *
+     * @param {string} gameId - ID of the game module
+     * @param {string} [profileId] - Profile ID, defaults to the current profile
+     * @returns {Promise<Array<Object>>} Results, oldest first
+     */
+    async getResults(gameId, profileId = this.currentProfileId) {
+        if (!profileId) {
+            return [];
+        }
+        return storage.get(`results:${profileId}:${gameId}`, []);
+    }
+
+    /**
+     * Returns the stored progress of one game for the current profile.
+     *
+     * @param {string} gameId - ID of the game module
+     * @returns {Promise<Object>} Progress object (empty if nothing is stored)
+     */
+    async getGameProgress(gameId) {
+        if (!this.currentProfileId || !gameId) {
+            return {};
+        }
+
+        const key = `progress:${this.currentProfileId}:${gameId}`;
+        // Read after the pending writes, so a value saved just before is not missed
+        await this.waitForProgressWrites(key);
+        return storage.get(key, {});
+    }
+
+    /**
+     * Merges values into the stored progress of one game for the current profile.
+     * Updates of the same game are queued, so an update started before the previous
+     * one finished still merges into its result instead of overwriting it.
+     *
+     * @param {string} gameId - ID of the game module
+     * @param {Object} values - Values to merge
+     * @returns {Promise<Object>} The updated progress object
+     */
+    async updateGameProgress(gameId, values) {
+        if (!this.currentProfileId || !gameId) {
+            return values;
+        }
+
+        const key = `progress:${this.currentProfileId}:${gameId}`;
+        const write = this.waitForProgressWrites(key).then(async () => {
+            const progress = { ...await storage.get(key, {}), ...values };
+            await storage.set(key, progress);
+            return progress;
+        });
+
+        this.progressWrites.set(key, write);
+        try {
+            return await write;
+        } finally {
+            if (this.progressWrites.get(key) === write) {
+                this.progressWrites.delete(key);
+            }
+        }
+    }
+
+    /**
+     * Returns stored app settings of one kind.
+     *
+     * @param {string} name - Settings name, e.g. 'sound'
+     * @param {string} [profileId] - Profile ID, defaults to the current profile
+     * @returns {Promise<Object>} Settings object (empty if nothing is stored)
+     */
+    async getSettings(name, profileId = this.currentProfileId) {
+        if (!profileId) {
+            return {};
+        }
+        return storage.get(`settings:${profileId}:${name}`, {});
+    }
+
+    /**
+     * Replaces stored app settings of one kind.
+     *
+     * @param {string} name - Settings name, e.g. 'sound'
+     * @param {Object} settings - Settings to store
+     * @param {string} [profileId] - Profile ID, defaults to the current profile
+     * @returns {Promise<void>}
+     */
+    async saveSettings(name, settings, profileId = this.currentProfileId) {
+        if (!profileId) {
+            return;
+        }
+        await storage.set(`settings:${profileId}:${name}`, settings);
+    }
+
+    /**
+     * Waits for the pending progress writes of a key; failed writes are reported by their own callers.
+     * @private
+     * @param {string} key - Progress storage key
+     * @returns {Promise<void>}
+     */
+    async waitForProgressWrites(key) {
+        try {
+            await this.progressWrites.get(key);
+        } catch (error) {
+            // Ignored here, the caller of the failed write got the error
+        }
+    }
+
+    /**
+     * Reads the profile ID remembered for this browser session.
+     * @private
+     * @returns {string|null} Profile ID
+     */
+    readSessionProfileId() {
+        try {
+            return sessionStorage.getItem(SESSION_PROFILE_KEY);
+        } catch (error) {
+            return null;
+        }
+    }
+}
+
+// Create a singleton instance
+export const profileManager = new ProfileManager();
+export default profileManager;
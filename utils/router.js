@@ -0,0 +1,203 @@
+/**
+ * @fileOverview Hash-based Router for Kids Educational Game
+ *
+ * This module maps the URL hash to application screens so that every
+ * screen and game can be reached through a link, restored on reload and
+ * left with the browser (or Android) back button.
+ *
+ * Supported URL format:
+ * - `#/home` - the building screen
+ * - `#/game3` - a game screen
+ * - `#/game3?difficulty=hard` - a game screen with route parameters
+ *
+ * Key Features:
+ * - Listens to `popstate` and `hashchange`
+ * - History depth tracking for in-app back navigation
+ * - Duplicate route dispatch protection
+ * - Legacy `#home` hash compatibility
+ *
+ * @module Router
+ * @requires none
+ *
+ * @author Martin Lubenov
+ * @version 1.0.0
+ * @license MIT
+ */
+
+/**
+ * Parses a location hash into a route.
+ *
+ * @param {string} hash - Location hash, e.g. `#/game3?difficulty=hard`
+ * @param {string} defaultScreen - Screen used when the hash is empty
+ * @returns {{screenId: string, params: Object}} The parsed route
+ */
+export function parseHash(hash, defaultScreen = 'home') {
+    const [path, query = ''] = (hash || '').replace(/^#\/?/, '').split('?');
+    const screenId = decodeURIComponent(path.replace(/\/$/, '')) || defaultScreen;
+    const params = Object.fromEntries(new URLSearchParams(query));
+
+    return { screenId, params };
+}
+
+/**
+ * Formats a route into a location hash.
+ *
+ * @param {string} screenId - ID of the screen or game module
+ * @param {Object} [params={}] - Route parameters
+ * @returns {string} Location hash, e.g. `#/game3?difficulty=hard`
+ */
+export function formatHash(screenId, params = {}) {
+    const query = new URLSearchParams(params).toString();
+    return `#/${encodeURIComponent(screenId)}${query ? `?${query}` : ''}`;
+}
+
+/**
+ * Keeps the URL hash and the displayed screen in sync.
+ *
+ * @class Router
+ *
+ * @property {string} defaultScreen - Screen shown for an empty hash
+ * @property {Function|null} handler - Called with `(screenId, params)` on every route change
+ * @property {string|null} currentHash - Hash of the last dispatched route
+ * @property {number} depth - Number of in-app history entries behind the current one
+ *
+ * @example
+ * const router = new Router('home');
+ * router.start((screenId, params) => app.loadScreen(screenId, params));
+ * router.navigate('game3', { difficulty: 'hard' });
+ */
+export class Router {
+    /**
+     * @constructor
+     * @param {string} [defaultScreen='home'] - Screen shown for an empty hash
+     */
+    constructor(defaultScreen = 'home') {
+        this.defaultScreen = defaultScreen;
+        this.handler = null;
+        this.currentHash = null;
+        this.depth = 0;
+
+        this.handleLocationChange = this.handleLocationChange.bind(this);
+    }
+
+    /**
+     * Starts listening for location changes and dispatches the current route.
+     *
+     * @param {Function} handler - Route handler `(screenId, params) => Promise<void>`
+     * @returns {Promise<void>}
+     */
+    start(handler) {
+        this.handler = handler;
+        this.depth = this.getStateDepth(window.history.state);
+
+        window.addEventListener('popstate', this.handleLocationChange);
+        window.addEventListener('hashchange', this.handleLocationChange);
+
+        // Normalize legacy hashes such as '#home' without adding a history entry
+        const { screenId, params } = parseHash(window.location.hash, this.defaultScreen);
+        window.history.replaceState({ depth: this.depth }, '', formatHash(screenId, params));
+
+        return this.dispatch(screenId, params);
+    }
+
+    /**
+     * Stops listening for location changes.
+     */
+    stop() {
+        window.removeEventListener('popstate', this.handleLocationChange);
+        window.removeEventListener('hashchange', this.handleLocationChange);
+        this.handler = null;
+    }
+
+    /**
+     * Navigates to a screen.
+     *
+     * @param {string} screenId - ID of the screen or game module
+     * @param {Object} [params={}] - Route parameters
+     * @param {Object} [options={}] - Navigation options
+     * @param {boolean} [options.replace=false] - Replace the current history entry instead of pushing
+     * @param {boolean} [options.silent=false] - Update the URL without dispatching the route
+     * @returns {Promise<void>}
+     */
+    navigate(screenId, params = {}, { replace = false, silent = false } = {}) {
+        const hash = formatHash(screenId, params);
+
+        if (replace) {
+            window.history.replaceState({ depth: this.depth }, '', hash);
+        } else if (hash !== this.currentHash) {
+            this.depth++;
+            window.history.pushState({ depth: this.depth }, '', hash);
+        }
+
+        if (silent) {
+            this.currentHash = hash;
+            return Promise.resolve();
+        }
+
+        return this.dispatch(screenId, params);
+    }
+
+    /**
+     * Goes one step back in the in-app history, or replaces the current
+     * entry with the fallback screen when the app was opened from a deep link.
+     *
+     * @param {string} [fallback] - Screen to show when there is no in-app history
+     * @returns {Promise<void>}
+     */
+    back(fallback = this.defaultScreen) {
+        if (this.depth > 0) {
+            window.history.back();
+            return Promise.resolve();
+        }
+
+        return this.navigate(fallback, {}, { replace: true });
+    }
+
+    /**
+     * Handles `popstate` and `hashchange` events.
+     * @private
+     */
+    handleLocationChange() {
+        const state = window.history.state;
+
+        if (state && typeof state.depth === 'number') {
+            this.depth = state.depth;
+        } else {
+            // A hash typed into the address bar creates an entry without state
+            this.depth++;
+            window.history.replaceState({ depth: this.depth }, '', window.location.hash);
+        }
+
+        const { screenId, params } = parseHash(window.location.hash, this.defaultScreen);
+        return this.dispatch(screenId, params);
+    }
+
+    /**
+     * Calls the route handler unless the route is already displayed.
+     * Both `popstate` and `hashchange` fire for the same change, so
+     * repeated dispatches of one route are ignored.
+     * @private
+     * @param {string} screenId - ID of the screen or game module
+     * @param {Object} params - Route parameters
+     * @returns {Promise<void>}
+     */
+    dispatch(screenId, params) {
+        const hash = formatHash(screenId, params);
+        if (hash === this.currentHash || !this.handler) {
+            return Promise.resolve();
+        }
+
+        this.currentHash = hash;
+        return Promise.resolve(this.handler(screenId, params));
+    }
+
+    /**
+     * Reads the history depth stored in a history state object.
+     * @private
+     * @param {Object|null} state - History state
+     * @returns {number} Stored depth or 0
+     */
+    getStateDepth(state) {
+        return state && typeof state.depth === 'number' ? state.depth : 0;
+    }
+}
@@ -1,30 +1,125 @@
-// import 'https://cdnjs.cloudflare.com/ajax/libs/howler/2.2.3/howler.min.js';
+import { HTMLAudioSound, SilentSound } from './audioFallback.js';
 
-const Howl = window.Howl;
+/**
+ * Channels that sounds are played on; each channel has its own volume
+ */
+export const SoundChannels = {
+    MUSIC: 'music',
+    SFX: 'sfx',
+    VOICE: 'voice',
+    UI: 'ui'
+};
+
+/**
+ * Volume settings used until a player's own settings are loaded
+ */
+export const DEFAULT_SOUND_SETTINGS = {
+    master: 1,
+    muted: false,
+    channels: {
+        [SoundChannels.MUSIC]: 0.4,
+        [SoundChannels.SFX]: 1,
+        [SoundChannels.VOICE]: 1,
+        [SoundChannels.UI]: 0.8
+    }
+};
+
+// Milliseconds of a crossfade between two music tracks
+const MUSIC_FADE_TIME = 1000;
+
+// Share of the music volume kept while the music is ducked, and how fast it ducks
+const DUCK_LEVEL = 0.3;
+const DUCK_FADE_TIME = 300;
+
+// Sounds requested before audio was unlocked: how long they stay worth playing, and how many are kept
+const QUEUE_MAX_AGE = 3000;
+const QUEUE_MAX_LENGTH = 10;
+
+// User gestures that let the browser start audio
+const UNLOCK_EVENTS = ['touchend', 'click', 'keydown'];
+
+/**
+ * Returns the class that plays sounds: Howler's Howl, or a fallback when Howler failed to load.
+ * @returns {Function} Class with the Howl API
+ */
+function getSoundBackend() {
+    if (typeof window.Howl === 'function') {
+        return window.Howl;
+    }
+    return typeof window.Audio === 'function' ? HTMLAudioSound : SilentSound;
+}
+
+/**
+ * Keeps a volume between 0 and 1, falling back when it is not a number.
+ * @param {*} volume - Volume
+ * @param {number} fallback - Volume used when `volume` is not a number
+ * @returns {number} Volume between 0 and 1
+ */
+function clampVolume(volume, fallback) {
+    return typeof volume === 'number' && Number.isFinite(volume) ? Math.min(Math.max(volume, 0), 1) : fallback;
+}
 
 class SoundManager {
     constructor() {
         this.sounds = new Map();
+        // Channel, sprite channels and own volume of every loaded sound
+        this.soundOptions = new Map();
+        // Playback IDs started through play() with their channels, used to pause, resume and re-level them together
+        this.playbacks = new Map();
+        this.settings = this.normalizeSettings(DEFAULT_SOUND_SETTINGS);
+        this.settingsListeners = new Set();
+        // Looping music track that is playing ({ id, sprite, playbackId })
+        this.music = null;
+        // What the music is quieter for, e.g. 'voice' or 'popup'
+        this.duckReasons = new Set();
+        // Browsers start audio only after a user gesture; until then sounds wait in the queue
+        this.unlocked = Boolean(navigator.userActivation?.hasBeenActive);
+        this.queue = [];
+        this.lockListeners = new Set();
+        this.backendWarned = false;
+        this.handleUnlockGesture = () => this.unlock();
+        if (!this.unlocked) {
+            UNLOCK_EVENTS.forEach(event => document.addEventListener(event, this.handleUnlockGesture));
+        }
     }
 
+    /**
+     * Loads a sound.
+     * @param {string} id - Sound ID
+     * @param {string} src - Path to the sound file
+     * @param {Object} [options={}] - Howler options, plus:
+     * @param {string} [options.channel='sfx'] - Channel of the sound, see SoundChannels
+     * @param {Object<string, string>} [options.spriteChannels={}] - Channels of single sprites, e.g. background music in a sprite of effects
+     * @param {number} [options.volume=1] - Own volume of the sound, scaled by the channel and master volumes
+     * @returns {Howl|HTMLAudioSound|SilentSound} The loaded sound; a fallback when Howler is not available
+     */
     loadSound(id, src, options = {}) {
         if (this.sounds.has(id)) {
             console.log(`Sound ${id} already loaded`);
             return this.sounds.get(id);
         }
 
+        const { channel = SoundChannels.SFX, spriteChannels = {}, volume = 1, ...howlOptions } = options;
         const defaultOptions = {
             src: [src],
             html5: true,
             preload: true,
-            ...options
+            ...howlOptions
         };
 
-        const sound = new Howl(defaultOptions);
+        const sound = this.createSound(defaultOptions);
         this.sounds.set(id, sound);
+        this.soundOptions.set(id, { channel, spriteChannels, volume: clampVolume(volume, 1) });
         return sound;
     }
 
+    /**
+     * Plays a sound or sprite at its channel volume.
+     * Before the first user gesture the sound is queued and played when audio is unlocked.
+     * @param {string} id - Sound ID
+     * @param {string|null} [sprite=null] - Sprite name
+     * @returns {number|null} Playback ID, or null if the sound is not loaded or was queued
+     */
     play(id, sprite = null) {
         const sound = this.sounds.get(id);
         if (!sound) {
@@ -32,10 +127,106 @@ class SoundManager {
             return null;
         }
 
-        if (sprite) {
-            return sound.play(sprite);
+        if (!this.unlocked) {
+            this.enqueue(id, sprite);
+            return null;
+        }
+
+        const channel = this.getChannel(id, sprite);
+        const playbackId = sprite ? sound.play(sprite) : sound.play();
+        sound.volume(this.getPlaybackVolume(id, channel), playbackId);
+
+        if (!this.playbacks.has(id)) {
+            this.playbacks.set(id, new Map());
+        }
+        this.playbacks.get(id).set(playbackId, channel);
+        return playbackId;
+    }
+
+    /**
+     * Plays a sound or sprite as the looping music track, crossfading from the track that is playing.
+     * Nothing changes if the track is playing already. Before the first user gesture
+     * the track is remembered and starts when audio is unlocked.
+     * @param {string} id - Sound ID
+     * @param {string|null} [sprite=null] - Sprite name
+     * @param {number} [fadeTime=1000] - Crossfade duration in ms
+     * @returns {number|null} Playback ID, or null if the sound is not loaded or waits for unlocking
+     */
+    playMusic(id, sprite = null, fadeTime = MUSIC_FADE_TIME) {
+        const sound = this.sounds.get(id);
+        if (!sound) {
+            console.warn(`Sound ${id} not found`);
+            return null;
+        }
+
+        if (this.music && this.music.id === id && this.music.sprite === sprite && sound.playing(this.music.playbackId)) {
+            return this.music.playbackId;
+        }
+
+        this.stopMusic(fadeTime);
+        if (!this.unlocked) {
+            const wasLocked = this.isLocked();
+            this.music = { id, sprite, playbackId: null };
+            if (!wasLocked) {
+                this.notifyLockListeners();
+            }
+            return null;
+        }
+
+        const playbackId = this.play(id, sprite);
+        sound.loop(true, playbackId);
+        sound.fade(0, this.getPlaybackVolume(id, this.getChannel(id, sprite)), fadeTime, playbackId);
+        this.music = { id, sprite, playbackId };
+        return playbackId;
+    }
+
+    /**
+     * Fades out and stops the music track.
+     * @param {number} [fadeTime=1000] - Fade duration in ms
+     */
+    stopMusic(fadeTime = MUSIC_FADE_TIME) {
+        if (!this.music) {
+            return;
+        }
+
+        const { id, playbackId } = this.music;
+        const sound = this.sounds.get(id);
+        this.music = null;
+        if (!sound || playbackId === null) {
+            return;
+        }
+
+        // The fading track keeps its own volume, so volume changes do not bring it back
+        this.playbacks.get(id)?.delete(playbackId);
+        if (fadeTime <= 0 || !sound.playing(playbackId)) {
+            sound.stop(playbackId);
+            return;
+        }
+        sound.once('fade', () => sound.stop(playbackId), playbackId);
+        sound.fade(sound.volume(playbackId), 0, fadeTime, playbackId);
+    }
+
+    /**
+     * Makes the music quieter, e.g. while a voice prompt or a popup plays.
+     * The music stays ducked until every reason is removed with unduck().
+     * @param {string} reason - What the music makes room for, e.g. 'voice' or 'popup'
+     */
+    duck(reason) {
+        const wasDucked = this.duckReasons.size > 0;
+        this.duckReasons.add(reason);
+        if (!wasDucked) {
+            this.fadeMusicVolume();
+        }
+    }
+
+    /**
+     * Removes a reason for ducking and brings the music back when no reason is left.
+     * @param {string} reason - Reason passed to duck()
+     */
+    unduck(reason) {
+        if (this.duckReasons.delete(reason) && this.duckReasons.size === 0) {
+            this.fadeMusicVolume();
         }
-        return sound.play();
     }
 
     stop(id) {
@@ -43,6 +234,7 @@ class SoundManager {
         if (sound) {
             sound.stop();
         }
+        this.queue = this.queue.filter(queued => queued.id !== id);
     }
 
     pause(id) {
@@ -59,24 +251,359 @@ class SoundManager {
         }
     }
 
+    /**
+     * Pauses every sound that is currently playing.
+     * @returns {Array<{id: string, playbackId: number, channel: string}>} The paused playbacks, to pass to resumeAll()
+     */
+    pauseAll() {
+        const paused = [];
+
+        this.playbacks.forEach((playbackIds, id) => {
+            const sound = this.sounds.get(id);
+            playbackIds.forEach((channel, playbackId) => {
+                if (sound && sound.playing(playbackId)) {
+                    sound.pause(playbackId);
+                    paused.push({ id, playbackId, channel });
+                }
+            });
+            // Finished playbacks are not needed anymore
+            playbackIds.clear();
+        });
+
+        return paused;
+    }
+
+    /**
+     * Resumes playbacks paused by pauseAll() from where they stopped.
+     * @param {Array<{id: string, playbackId: number, channel: string}>} paused - Playbacks returned by pauseAll()
+     */
+    resumeAll(paused) {
+        paused.forEach(({ id, playbackId, channel }) => {
+            const sound = this.sounds.get(id);
+            if (sound) {
+                sound.play(playbackId);
+                // Volumes may have changed while the sound was paused
+                sound.volume(this.getPlaybackVolume(id, channel), playbackId);
+                this.playbacks.get(id).set(playbackId, channel);
+            }
+        });
+    }
+
+    /**
+     * Stops playbacks paused by pauseAll() for good, e.g. when the paused screen is left.
+     * @param {Array<{id: string, playbackId: number, channel: string}>} paused - Playbacks returned by pauseAll()
+     */
+    stopPaused(paused) {
+        paused.forEach(({ id, playbackId }) => {
+            const sound = this.sounds.get(id);
+            if (sound) {
+                sound.stop(playbackId);
+            }
+            if (this.music && this.music.id === id && this.music.playbackId === playbackId) {
+                this.music = null;
+            }
+        });
+    }
+
+    /**
+     * Sets the own volume of a sound, which is scaled by its channel and the master volume.
+     * @param {string} id - Sound ID
+     * @param {number} volume - Volume between 0 and 1
+     */
     setVolume(id, volume) {
-        const sound = this.sounds.get(id);
-        if (sound) {
-            sound.volume(volume);
+        const options = this.soundOptions.get(id);
+        if (options) {
+            options.volume = clampVolume(volume, options.volume);
+            this.applyVolumes();
+        }
+    }
+
+    /**
+     * Returns the volume a channel currently plays at, after the master volume and mute.
+     * @param {string} channel - Channel, see SoundChannels
+     * @returns {number} Volume between 0 and 1
+     */
+    getVolume(channel) {
+        const { muted, master, channels } = this.settings;
+        return muted ? 0 : master * (channels[channel] ?? 1);
+    }
+
+    /**
+     * Sets the volume of one channel.
+     * @param {string} channel - Channel, see SoundChannels
+     * @param {number} volume - Volume between 0 and 1
+     */
+    setChannelVolume(channel, volume) {
+        this.updateSettings({ channels: { ...this.settings.channels, [channel]: volume } });
+    }
+
+    /**
+     * Sets the volume of all channels.
+     * @param {number} volume - Volume between 0 and 1
+     */
+    setMasterVolume(volume) {
+        this.updateSettings({ master: volume });
+    }
+
+    /**
+     * Mutes or unmutes all sounds.
+     * @param {boolean} muted - Whether all sounds are muted
+     */
+    setMuted(muted) {
+        this.updateSettings({ muted });
+    }
+
+    /**
+     * Switches mute on or off.
+     * @returns {boolean} Whether the sounds are muted now
+     */
+    toggleMute() {
+        this.setMuted(!this.settings.muted);
+        return this.settings.muted;
+    }
+
+    isMuted() {
+        return this.settings.muted;
+    }
+
+    /**
+     * Returns a copy of the volume settings, e.g. for storing in the player's profile.
+     * @returns {{master: number, muted: boolean, channels: Object<string, number>}} Settings
+     */
+    getSettings() {
+        return { ...this.settings, channels: { ...this.settings.channels } };
+    }
+
+    /**
+     * Replaces the volume settings, e.g. with the ones stored for a player.
+     * Missing values fall back to DEFAULT_SOUND_SETTINGS.
+     * @param {Object} settings - Settings ({ master, muted, channels })
+     */
+    applySettings(settings) {
+        this.settings = this.normalizeSettings(settings);
+        this.applyVolumes();
+        this.notifySettingsListeners();
+    }
+
+    /**
+     * Subscribes to volume settings changes.
+     * @param {Function} listener - Called with the new settings on every change
+     * @returns {Function} Unsubscribe function
+     */
+    onSettingsChange(listener) {
+        this.settingsListeners.add(listener);
+        return () => this.settingsListeners.delete(listener);
+    }
+
+    /**
+     * Lets the sounds play after a user gesture: wakes up the audio context,
+     * plays the queued sounds that are still recent and starts the waiting music.
+     * Called automatically on the first touch, click or key press; a "tap to enable sound"
+     * button can call it too.
+     */
+    unlock() {
+        if (this.unlocked) {
+            return;
+        }
+
+        this.unlocked = true;
+        UNLOCK_EVENTS.forEach(event => document.removeEventListener(event, this.handleUnlockGesture));
+        const context = window.Howler?.ctx;
+        if (context && context.state === 'suspended') {
+            context.resume().catch(error => console.warn('Failed to resume audio:', error));
+        }
+
+        const now = Date.now();
+        const queue = this.queue;
+        this.queue = [];
+        queue.filter(({ id, queuedAt }) => now - queuedAt <= QUEUE_MAX_AGE && this.sounds.has(id))
+            .forEach(({ id, sprite }) => this.play(id, sprite));
+
+        if (this.music && this.music.playbackId === null) {
+            const { id, sprite } = this.music;
+            this.music = null;
+            this.playMusic(id, sprite);
         }
+
+        this.notifyLockListeners();
+    }
+
+    /**
+     * Checks whether sounds are waiting for a user gesture to unlock audio.
+     * @returns {boolean} True if a sound or the music was requested while audio was locked
+     */
+    isLocked() {
+        return !this.unlocked && (this.queue.length > 0 || Boolean(this.music));
+    }
+
+    /**
+     * Subscribes to audio lock changes, e.g. to show a "tap to enable sound" hint.
+     * @param {Function} listener - Called with true when sounds start waiting for a user gesture and with false once audio is unlocked
+     * @returns {Function} Unsubscribe function
+     */
+    onAudioLockChange(listener) {
+        this.lockListeners.add(listener);
+        return () => this.lockListeners.delete(listener);
     }
 
     unload(id) {
         const sound = this.sounds.get(id);
         if (sound) {
+            if (this.music && this.music.id === id) {
+                this.music = null;
+            }
+            this.queue = this.queue.filter(queued => queued.id !== id);
             sound.unload();
             this.sounds.delete(id);
+            this.soundOptions.delete(id);
+            this.playbacks.delete(id);
         }
     }
 
     unloadAll() {
+        this.music = null;
+        this.queue = [];
         this.sounds.forEach(sound => sound.unload());
         this.sounds.clear();
+        this.soundOptions.clear();
+        this.playbacks.clear();
+    }
+
+    /**
+     * Creates a sound with the available backend, falling back to a silent sound if it fails.
+     * @private
+     * @param {Object} options - Howl options
+     * @returns {Howl|HTMLAudioSound|SilentSound} Sound
+     */
+    createSound(options) {
+        const Backend = getSoundBackend();
+        if (Backend !== window.Howl && !this.backendWarned) {
+            this.backendWarned = true;
+            console.warn(`Howler is not available, playing sounds with ${Backend === HTMLAudioSound ? 'HTML audio' : 'no audio'}`);
+        }
+
+        try {
+            return new Backend(options);
+        } catch (error) {
+            console.warn('Failed to create sound, it will be silent:', error);
+            return new SilentSound();
+        }
+    }
+
+    /**
+     * Remembers a sound requested before audio was unlocked.
+     * @private
+     * @param {string} id - Sound ID
+     * @param {string|null} sprite - Sprite name
+     */
+    enqueue(id, sprite) {
+        const wasLocked = this.isLocked();
+        this.queue.push({ id, sprite, queuedAt: Date.now() });
+        if (this.queue.length > QUEUE_MAX_LENGTH) {
+            this.queue.shift();
+        }
+        if (!wasLocked) {
+            this.notifyLockListeners();
+        }
+    }
+
+    /**
+     * Calls the audio lock listeners with the current lock state.
+     * @private
+     */
+    notifyLockListeners() {
+        const locked = this.isLocked();
+        this.lockListeners.forEach(listener => listener(locked));
+    }
+
+    /**
+     * Returns the channel a sound or one of its sprites plays on.
+     * @private
+     * @param {string} id - Sound ID
+     * @param {string|null} sprite - Sprite name
+     * @returns {string} Channel
+     */
+    getChannel(id, sprite) {
+        const { channel = SoundChannels.SFX, spriteChannels = {} } = this.soundOptions.get(id) || {};
+        return (sprite && spriteChannels[sprite]) || channel;
+    }
+
+    /**
+     * Returns the volume of a playback: the sound's own volume scaled by its channel,
+     * and lowered while the music is ducked.
+     * @private
+     * @param {string} id - Sound ID
+     * @param {string} channel - Channel of the playback
+     * @returns {number} Volume between 0 and 1
+     */
+    getPlaybackVolume(id, channel) {
+        const { volume = 1 } = this.soundOptions.get(id) || {};
+        const duck = channel === SoundChannels.MUSIC && this.duckReasons.size > 0 ? DUCK_LEVEL : 1;
+        return volume * this.getVolume(channel) * duck;
+    }
+
+    /**
+     * Fades the music track to its current volume after it was ducked or unducked.
+     * @private
+     */
+    fadeMusicVolume() {
+        const sound = this.music && this.sounds.get(this.music.id);
+        if (!sound || !sound.playing(this.music.playbackId)) {
+            this.applyVolumes();
+            return;
+        }
+
+        const { id, sprite, playbackId } = this.music;
+        sound.fade(sound.volume(playbackId), this.getPlaybackVolume(id, this.getChannel(id, sprite)), DUCK_FADE_TIME, playbackId);
+    }
+
+    /**
+     * Merges settings changes, updates the playing sounds and tells the listeners.
+     * @private
+     * @param {Object} changes - Changed settings
+     */
+    updateSettings(changes) {
+        this.applySettings({ ...this.settings, ...changes });
+    }
+
+    /**
+     * Sets the volume of every playback to its current channel volume.
+     * @private
+     */
+    applyVolumes() {
+        this.playbacks.forEach((playbackIds, id) => {
+            const sound = this.sounds.get(id);
+            playbackIds.forEach((channel, playbackId) => {
+                if (sound) {
+                    sound.volume(this.getPlaybackVolume(id, channel), playbackId);
+                }
+            });
+        });
+    }
+
+    /**
+     * Fills in and clamps volume settings.
+     * @private
+     * @param {Object} [settings={}] - Settings ({ master, muted, channels })
+     * @returns {Object} Complete settings
+     */
+    normalizeSettings({ master, muted, channels = {} } = {}) {
+        const defaults = DEFAULT_SOUND_SETTINGS;
+        return {
+            master: clampVolume(master, defaults.master),
+            muted: typeof muted === 'boolean' ? muted : defaults.muted,
+            channels: Object.fromEntries(Object.entries(defaults.channels)
+                .map(([channel, volume]) => [channel, clampVolume(channels[channel], volume)]))
+        };
+    }
+
+    /**
+     * Calls the settings listeners.
+     * @private
+     */
+    notifySettingsListeners() {
+        const settings = this.getSettings();
+        this.settingsListeners.forEach(listener => listener(settings));
     }
 }
 
@@ -0,0 +1,259 @@
+/**
+ * @fileOverview Persistent Key-Value Storage Module for Kids Educational Game
+ *
+ * This module stores player profiles, results and settings so they
+ * survive page reloads.
+ *
+ * Key Features:
+ * - IndexedDB backend for larger data sets
+ * - Automatic localStorage fallback (private mode, old browsers)
+ * - In-memory fallback when no persistent storage is available
+ * - JSON-serializable values only
+ *
+ * @module Storage
+ * @requires ./errorHandler.js
+ *
+ * @author Martin Lubenov
+ * @version 1.0.0
+ * @license MIT
+ */
+
+import { GameError, ErrorTypes } from './errorHandler.js';
+
+const DB_NAME = 'kids-game';
+const DB_VERSION = 1;
+const STORE_NAME = 'keyval';
+const LOCAL_STORAGE_PREFIX = 'kids-game:';
+
+/**
+ * Wraps an IndexedDB request in a promise.
+ * @param {IDBRequest} request - IndexedDB request
+ * @returns {Promise<*>} Request result
+ */
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * IndexedDB backend storing all values in a single object store.
+ * @private
+ */
+class IndexedDBBackend {
+    constructor(db) {
+        this.db = db;
+    }
+
+    static async open() {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore(STORE_NAME);
+        };
+        return new IndexedDBBackend(await promisifyRequest(request));
+    }
+
+    store(mode) {
+        return this.db.transaction(STORE_NAME, mode).objectStore(STORE_NAME);
+    }
+
+    async get(key) {
+        return promisifyRequest(this.store('readonly').get(key));
+    }
+
+    async set(key, value) {
+        await promisifyRequest(this.store('readwrite').put(value, key));
+    }
+
+    async remove(key) {
+        await promisifyRequest(this.store('readwrite').delete(key));
+    }
+
+    async keys() {
+        return promisifyRequest(this.store('readonly').getAllKeys());
+    }
+}
+
+/**
+ * localStorage backend with JSON serialization and a key prefix.
+ * @private
+ */
+class LocalStorageBackend {
+    static isAvailable() {
+        try {
+            const testKey = `${LOCAL_STORAGE_PREFIX}__test__`;
+            localStorage.setItem(testKey, '1');
+            localStorage.removeItem(testKey);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    async get(key) {
+        const value = localStorage.getItem(LOCAL_STORAGE_PREFIX + key);
+        return value === null ? undefined : JSON.parse(value);
+    }
+
+    async set(key, value) {
+        localStorage.setItem(LOCAL_STORAGE_PREFIX + key, JSON.stringify(value));
+    }
+
+    async remove(key) {
+        localStorage.removeItem(LOCAL_STORAGE_PREFIX + key);
+    }
+
+    async keys() {
+        return Object.keys(localStorage)
+            .filter(key => key.startsWith(LOCAL_STORAGE_PREFIX))
+            .map(key => key.slice(LOCAL_STORAGE_PREFIX.length));
+    }
+}
+
+/**
+ * In-memory backend used when the browser blocks all persistent storage.
+ * @private
+ */
+class MemoryBackend {
+    constructor() {
+        this.values = new Map();
+    }
+
+    async get(key) {
+        return this.values.get(key);
+    }
+
+    async set(key, value) {
+        this.values.set(key, value);
+    }
+
+    async remove(key) {
+        this.values.delete(key);
+    }
+
+    async keys() {
+        return Array.from(this.values.keys());
+    }
+}
+
+/**
+ * Asynchronous key-value storage that picks the best available backend.
+ *
+ * @class Storage
+ *
+ * @example
+ * await storage.set('profiles', [{ id: 'p1', name: 'Ани' }]);
+ * const profiles = await storage.get('profiles', []);
+ */
+class Storage {
+    constructor() {
+        this.backendPromise = null;
+    }
+
+    /**
+     * Opens the storage backend once and reuses it.
+     * @private
+     * @returns {Promise<Object>} The storage backend
+     */
+    getBackend() {
+        if (!this.backendPromise) {
+            this.backendPromise = this.openBackend();
+        }
+        return this.backendPromise;
+    }
+
+    /**
+     * Tries IndexedDB first, then localStorage, then memory.
+     * @private
+     * @returns {Promise<Object>} The storage backend
+     */
+    async openBackend() {
+        if (typeof indexedDB !== 'undefined') {
+            try {
+                return await IndexedDBBackend.open();
+            } catch (error) {
+                console.warn('IndexedDB is not available, falling back to localStorage:', error);
+            }
+        }
+
+        if (LocalStorageBackend.isAvailable()) {
+            return new LocalStorageBackend();
+        }
+
+        console.warn('No persistent storage available, progress will not be saved');
+        return new MemoryBackend();
+    }
+
+    /**
+     * Reads a value.
+     *
+     * @param {string} key - Storage key
+     * @param {*} [defaultValue] - Value returned when the key does not exist
+     * @returns {Promise<*>} The stored value or the default value
+     * @throws {GameError} If the backend fails to read
+     */
+    async get(key, defaultValue = undefined) {
+        try {
+            const backend = await this.getBackend();
+            const value = await backend.get(key);
+            return value === undefined ? defaultValue : value;
+        } catch (error) {
+            throw new GameError('Failed to read from storage', ErrorTypes.RESOURCE, { key, originalError: error.message });
+        }
+    }
+
+    /**
+     * Writes a value.
+     *
+     * @param {string} key - Storage key
+     * @param {*} value - JSON-serializable value
+     * @returns {Promise<void>}
+     * @throws {GameError} If the backend fails to write
+     */
+    async set(key, value) {
+        try {
+            const backend = await this.getBackend();
+            await backend.set(key, value);
+        } catch (error) {
+            throw new GameError('Failed to write to storage', ErrorTypes.RESOURCE, { key, originalError: error.message });
+        }
+    }
+
+    /**
+     * Removes a value.
+     *
+     * @param {string} key - Storage key
+     * @returns {Promise<void>}
+     * @throws {GameError} If the backend fails to remove the key
+     */
+    async remove(key) {
+        try {
+            const backend = await this.getBackend();
+            await backend.remove(key);
+        } catch (error) {
+            throw new GameError('Failed to remove from storage', ErrorTypes.RESOURCE, { key, originalError: error.message });
+        }
+    }
+
+    /**
+     * Lists stored keys, optionally only those starting with a prefix.
+     *
+     * @param {string} [prefix=''] - Key prefix
+     * @returns {Promise<Array<string>>} Matching keys
+     * @throws {GameError} If the backend fails to list keys
+     */
+    async keys(prefix = '') {
+        try {
+            const backend = await this.getBackend();
+            const keys = await backend.keys();
+            return keys.filter(key => String(key).startsWith(prefix));
+        } catch (error) {
+            throw new GameError('Failed to list storage keys', ErrorTypes.RESOURCE, { prefix, originalError: error.message });
+        }
+    }
+}
+
+// Create a singleton instance
+export const storage = new Storage();
+export default storage;
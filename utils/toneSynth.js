@@ -0,0 +1,158 @@
+/**
+ * @fileOverview Tone Synthesizer Module for Kids Educational Game
+ *
+ * This module plays short musical notes generated with the Web Audio API,
+ * so games can give every button its own note without extra sound files.
+ *
+ * Key Features:
+ * - Notes taken from named scales (pentatonic, major)
+ * - Soft attack and release, so notes do not click
+ * - Volume follows the SoundManager's effects channel, so mute silences the notes too
+ * - Audio context created on the first note (browsers allow audio only after a user gesture)
+ * - Safe no-op when the Web Audio API is not available
+ *
+ * @module ToneSynth
+ * @requires ./errorHandler.js
+ * @requires ./soundManager.js
+ *
+ * @author Martin Lubenov
+ * @version 1.0.0
+ * @license MIT
+ */
+
+import { GameError, ErrorTypes } from './errorHandler.js';
+import soundManager, { SoundChannels } from './soundManager.js';
+
+/**
+ * Scales as semitone steps above the base note, lowest first
+ */
+export const SCALES = {
+    pentatonic: [0, 2, 4, 7, 9, 12, 14, 16],
+    major: [0, 2, 4, 5, 7, 9, 11, 12]
+};
+
+// Middle C (C4) in Hz
+const BASE_FREQUENCY = 261.63;
+
+// Note envelope times in seconds
+const ATTACK_TIME = 0.01;
+const RELEASE_TIME = 0.08;
+
+/**
+ * Returns the frequencies of the lowest notes of a scale.
+ *
+ * @param {string} scale - Scale name, a key of SCALES
+ * @param {number} count - Number of notes
+ * @param {number} [baseFrequency=261.63] - Frequency of the first note in Hz
+ * @returns {Array<number>} Frequencies in Hz
+ * @throws {GameError} If the scale is unknown or does not have enough notes
+ *
+ * @example
+ * getScaleFrequencies('pentatonic', 4); // [261.63, 293.67, 329.63, 392]
+ */
+export function getScaleFrequencies(scale, count, baseFrequency = BASE_FREQUENCY) {
+    const steps = SCALES[scale];
+    if (!steps || steps.length < count) {
+        throw new GameError('Unknown scale or too few notes', ErrorTypes.RUNTIME, { scale, count });
+    }
+
+    return steps.slice(0, count).map(step => Math.round(baseFrequency * Math.pow(2, step / 12) * 100) / 100);
+}
+
+/**
+ * Plays synthesized notes.
+ *
+ * @class ToneSynth
+ *
+ * @property {AudioContext|null} context - Audio context, created on the first note
+ * @property {number} volume - Volume of the notes between 0 and 1, scaled by the effects channel
+ */
+class ToneSynth {
+    constructor() {
+        this.context = null;
+        this.volume = 0.3;
+    }
+
+    /**
+     * Checks whether the browser can synthesize notes.
+     *
+     * @returns {boolean}
+     */
+    isSupported() {
+        return typeof window !== 'undefined' && Boolean(window.AudioContext || window.webkitAudioContext);
+    }
+
+    /**
+     * Plays a single note.
+     *
+     * @param {number} frequency - Frequency in Hz
+     * @param {number} duration - Duration in ms
+     * @param {Object} [options={}] - Note options
+     * @param {string} [options.type='triangle'] - Oscillator wave type
+     * @returns {boolean} Whether the note was played
+     */
+    play(frequency, duration, { type = 'triangle' } = {}) {
+        const context = this.getContext();
+        if (!context) {
+            return false;
+        }
+
+        const volume = Math.max(this.volume * soundManager.getVolume(SoundChannels.SFX), 0.0001);
+        const start = context.currentTime;
+        const end = start + Math.max(duration / 1000, ATTACK_TIME + RELEASE_TIME);
+        const oscillator = context.createOscillator();
+        const gain = context.createGain();
+
+        oscillator.type = type;
+        oscillator.frequency.setValueAtTime(frequency, start);
+        gain.gain.setValueAtTime(0.0001, start);
+        gain.gain.exponentialRampToValueAtTime(volume, start + ATTACK_TIME);
+        gain.gain.setValueAtTime(volume, end - RELEASE_TIME);
+        gain.gain.exponentialRampToValueAtTime(0.0001, end);
+
+        oscillator.connect(gain);
+        gain.connect(context.destination);
+        oscillator.start(start);
+        oscillator.stop(end);
+        oscillator.onended = () => gain.disconnect();
+        return true;
+    }
+
+    /**
+     * Sets the volume of the notes.
+     *
+     * @param {number} volume - Volume between 0 and 1
+     */
+    setVolume(volume) {
+        this.volume = Math.min(Math.max(volume, 0), 1);
+    }
+
+    /**
+     * Returns the audio context, creating or waking it up when needed.
+     * @private
+     * @returns {AudioContext|null} Audio context, or null if Web Audio is not available
+     */
+    getContext() {
+        if (!this.isSupported()) {
+            return null;
+        }
+
+        try {
+            if (!this.context) {
+                const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+                this.context = new AudioContextClass();
+            }
+            if (this.context.state === 'suspended') {
+                this.context.resume().catch(error => console.warn('Failed to resume audio:', error));
+            }
+            return this.context;
+        } catch (error) {
+            console.warn('Web Audio is not available:', error);
+            return null;
+        }
+    }
+}
+
+// Create a singleton instance
+export const toneSynth = new ToneSynth();
+export default toneSynth;
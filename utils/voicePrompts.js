@@ -0,0 +1,173 @@
+/**
+ * @fileOverview Voice Prompt Module for Kids Educational Game
+ *
+ * This module speaks short prompts and object names, so that children who
+ * cannot read yet still know what the game asks for.
+ *
+ * Key Features:
+ * - Recorded clips played through the SoundManager on the voice channel
+ * - Speech synthesis in Bulgarian for parts without a clip (or when a clip fails)
+ * - Prompts made of several parts spoken one after another
+ * - A new prompt cuts off the one that is still playing
+ * - Music is ducked while a prompt plays
+ *
+ * @module VoicePrompts
+ * @requires ./soundManager.js
+ *
+ * @author Martin Lubenov
+ * @version 1.0.0
+ * @license MIT
+ */
+
+import soundManager, { SoundChannels } from './soundManager.js';
+
+// Language and speed of the synthesized speech
+const SPEECH_LANGUAGE = 'bg-BG';
+const SPEECH_RATE = 0.9;
+
+/**
+ * Plays voice prompts.
+ *
+ * @class VoicePrompts
+ *
+ * @property {number} promptId - ID of the latest prompt, used to cancel older ones
+ * @property {Object|null} playback - Part being played ({ resolve, stop })
+ *
+ * @example
+ * await voicePrompts.speak([{ text: 'Намери', clip: null }, { text: 'топка', clip: 'voices/ball.mp3' }]);
+ * voicePrompts.speak('Браво!');
+ * voicePrompts.stop();
+ */
+class VoicePrompts {
+    constructor() {
+        this.promptId = 0;
+        this.playback = null;
+    }
+
+    /**
+     * Checks whether the browser can synthesize speech.
+     *
+     * @returns {boolean}
+     */
+    isSpeechSupported() {
+        return typeof window !== 'undefined' && 'speechSynthesis' in window && 'SpeechSynthesisUtterance' in window;
+    }
+
+    /**
+     * Speaks a prompt, stopping the one that is playing.
+     * Each part plays its clip if it has one and falls back to speech synthesis of its text.
+     *
+     * @param {string|Object|Array<string|Object>} parts - Text, a part ({ text, clip }) or a list of them
+     * @returns {Promise<boolean>} Whether the whole prompt was spoken (false if it was cut off or could not play)
+     */
+    async speak(parts) {
+        this.cancel();
+        const promptId = this.promptId;
+        const list = (Array.isArray(parts) ? parts : [parts])
+            .map(part => (typeof part === 'string' ? { text: part } : part));
+
+        soundManager.duck('voice');
+        try {
+            for (const { text, clip } of list) {
+                const spoken = (clip && await this.playClip(clip)) || (promptId === this.promptId && await this.speakText(text));
+                if (!spoken || promptId !== this.promptId) {
+                    return false;
+                }
+            }
+            return true;
+        } finally {
+            // A newer prompt keeps the music ducked
+            if (promptId === this.promptId) {
+                soundManager.unduck('voice');
+            }
+        }
+    }
+
+    /**
+     * Stops the prompt that is playing.
+     */
+    stop() {
+        this.cancel();
+        soundManager.unduck('voice');
+    }
+
+    /**
+     * Cuts off the prompt that is playing, leaving the music ducked.
+     * @private
+     */
+    cancel() {
+        this.promptId++;
+        if (this.playback) {
+            const { resolve, stop } = this.playback;
+            this.playback = null;
+            stop();
+            resolve(false);
+        }
+    }
+
+    /**
+     * Plays a recorded clip.
+     * @private
+     * @param {string} clip - Path to the clip
+     * @returns {Promise<boolean>} Whether the clip played to the end
+     */
+    playClip(clip) {
+        const id = `voice:${clip}`;
+        const sound = soundManager.sounds.get(id) || soundManager.loadSound(id, clip, { channel: SoundChannels.VOICE });
+
+        return new Promise(resolve => {
+            const playbackId = soundManager.play(id);
+            if (playbackId === null || playbackId === undefined) {
+                resolve(false);
+                return;
+            }
+
+            this.playback = { resolve, stop: () => sound.stop(playbackId) };
+            sound.once('end', () => this.finish(resolve, true), playbackId);
+            sound.once('playerror', () => this.finish(resolve, false), playbackId);
+            sound.once('loaderror', () => this.finish(resolve, false));
+        });
+    }
+
+    /**
+     * Speaks a text with speech synthesis.
+     * @private
+     * @param {string} text - Text to speak
+     * @returns {Promise<boolean>} Whether the text was spoken to the end
+     */
+    speakText(text) {
+        if (!text || !this.isSpeechSupported()) {
+            return Promise.resolve(false);
+        }
+
+        return new Promise(resolve => {
+            const utterance = new window.SpeechSynthesisUtterance(text);
+            utterance.lang = SPEECH_LANGUAGE;
+            utterance.rate = SPEECH_RATE;
+            utterance.volume = soundManager.getVolume(SoundChannels.VOICE);
+            utterance.onend = () => this.finish(resolve, true);
+            utterance.onerror = () => this.finish(resolve, false);
+
+            this.playback = { resolve, stop: () => window.speechSynthesis.cancel() };
+            window.speechSynthesis.cancel();
+            window.speechSynthesis.speak(utterance);
+        });
+    }
+
+    /**
+     * Resolves the part being played.
+     * @private
+     * @param {Function} resolve - Resolve function of the part
+     * @param {boolean} spoken - Whether the part was spoken to the end
+     */
+    finish(resolve, spoken) {
+        if (this.playback && this.playback.resolve === resolve) {
+            this.playback = null;
+        }
+        resolve(spoken);
+    }
+}
+
+// Create a singleton instance
+export const voicePrompts = new VoicePrompts();
+export default voicePrompts;